@@ -0,0 +1,29 @@
+import recurringGigs from './recurringGigs.js';
+import timesheetApproval from './timesheetApproval.js';
+import payouts from './payouts.js';
+import ledgerReconciliation from './ledgerReconciliation.js';
+import invoices from './invoices.js';
+
+// Background jobs run in-process on a fixed interval. Each job exports
+// { name, intervalMs, run }.
+const jobs = [recurringGigs, timesheetApproval, payouts, ledgerReconciliation, invoices];
+
+export const startJobs = () => jobs.map(job => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`${job.name} job error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, job.intervalMs).unref();
+});
@@ -0,0 +1,17 @@
+import { issueMissingInvoices, issueMonthlyInvoices, previousMonth } from '../services/invoices.js';
+
+// Catch up on payment invoices and credit notes, and consolidate last month's
+// for each store
+export default {
+  name: 'Invoices',
+  intervalMs: parseFloat(process.env.INVOICE_JOB_INTERVAL_MINUTES || '360') * 60 * 1000,
+  async run() {
+    const issued = await issueMissingInvoices();
+    const { year, month } = previousMonth();
+    const consolidated = await issueMonthlyInvoices(year, month);
+
+    if (issued + consolidated > 0) {
+      console.log(`Issued ${issued} payment invoice(s) or credit note(s) and ${consolidated} monthly invoice(s)`);
+    }
+  }
+};
@@ -0,0 +1,23 @@
+import { reconcileLedger } from '../services/wallet.js';
+
+// Check wallet balances against the ledger, repair the ones that drifted and
+// post any missed payment credits
+export default {
+  name: 'Ledger reconciliation',
+  intervalMs: parseFloat(process.env.LEDGER_RECONCILE_INTERVAL_MINUTES || '1440') * 60 * 1000,
+  async run() {
+    const report = await reconcileLedger();
+    if (report.postedPayments.length > 0) {
+      console.log(`Posted ${report.postedPayments.length} missed payment credit(s) to the ledger`);
+    }
+    if (report.repairedWallets.length > 0) {
+      console.log(`Reset ${report.repairedWallets.length} wallet balance(s) to the ledger`);
+    }
+    if (report.net !== 0 || report.walletMismatches.length > 0) {
+      console.error('Ledger reconciliation mismatch:', JSON.stringify({
+        net: report.net,
+        walletMismatches: report.walletMismatches
+      }));
+    }
+  }
+};
@@ -0,0 +1,13 @@
+import { processWithdrawals } from '../services/wallet.js';
+
+// Pay out requested wallet withdrawals in batches
+export default {
+  name: 'Withdrawal payouts',
+  intervalMs: parseFloat(process.env.WITHDRAWAL_JOB_INTERVAL_MINUTES || '60') * 60 * 1000,
+  async run() {
+    const settled = await processWithdrawals();
+    if (settled > 0) {
+      console.log(`Settled ${settled} withdrawal(s)`);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+import { generateAllSeries } from '../services/recurringGigs.js';
+
+// Keep every active series generated SERIES_GENERATION_DAYS ahead
+export default {
+  name: 'Recurring gigs',
+  intervalMs: parseFloat(process.env.SERIES_JOB_INTERVAL_MINUTES || '60') * 60 * 1000,
+  async run() {
+    const created = await generateAllSeries();
+    if (created > 0) {
+      console.log(`Generated ${created} recurring gig occurrence(s)`);
+    }
+  }
+};
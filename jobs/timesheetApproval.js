@@ -0,0 +1,13 @@
+import { autoApproveTimesheets } from '../services/timesheets.js';
+
+// Auto-approve timesheets the store did not review within TIMESHEET_APPROVAL_HOURS
+export default {
+  name: 'Timesheet auto-approval',
+  intervalMs: parseFloat(process.env.TIMESHEET_JOB_INTERVAL_MINUTES || '15') * 60 * 1000,
+  async run() {
+    const approved = await autoApproveTimesheets();
+    if (approved > 0) {
+      console.log(`Auto-approved ${approved} timesheet(s)`);
+    }
+  }
+};
@@ -1,9 +1,15 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
-const auth = async (req, res, next) => {
+// Scope of the short-lived tokens that only open the notification stream
+const STREAM_TOKEN_SCOPE = 'notification-stream';
+
+// Build a middleware that authenticates the token getToken finds on the
+// request. Tokens must carry exactly the given scope: session tokens have
+// none, so a stream token cannot be used as a session and vice versa.
+const authenticate = (getToken, scope) => async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = getToken(req);
     
     if (!token) {
       return res.status(401).json({
@@ -13,6 +19,13 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.scope !== scope) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password -otp');
     
     if (!user) {
@@ -22,6 +35,13 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -51,6 +71,15 @@ const auth = async (req, res, next) => {
   }
 };
 
+const auth = authenticate(req => req.header('Authorization')?.replace('Bearer ', ''));
+
+// EventSource cannot send headers, so the notification stream also accepts a
+// stream token as a query parameter; a session JWT never goes in the URL
+const streamTokenAuth = authenticate(req => req.query.token, STREAM_TOKEN_SCOPE);
+const streamAuth = (req, res, next) => (
+  req.header('Authorization') ? auth(req, res, next) : streamTokenAuth(req, res, next)
+);
+
 const authorize = (...userTypes) => {
   return (req, res, next) => {
     if (!userTypes.includes(req.user.userType)) {
@@ -63,4 +92,4 @@ const authorize = (...userTypes) => {
   };
 };
 
-export { auth, authorize };
+export { auth, streamAuth, authorize, STREAM_TOKEN_SCOPE };
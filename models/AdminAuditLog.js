@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const adminAuditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['deactivate', 'reactivate', 'force_logout', 'change_role', 'refund_payment', 'void_payment', 'adjust_payment'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+adminAuditLogSchema.index({ targetUser: 1, createdAt: -1 });
+adminAuditLogSchema.index({ admin: 1, createdAt: -1 });
+
+export default mongoose.model('AdminAuditLog', adminAuditLogSchema);
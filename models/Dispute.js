@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// A disagreement between a store and a worker over one worker's assignment
+// on a gig. The related payout stays on hold until an admin resolves it.
+const disputeSchema = new mongoose.Schema({
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set once the worker's payment exists
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['hours', 'quality', 'no_show', 'payment', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    // resolving: claimed by an admin's resolution while its payout is settled
+    enum: ['open', 'resolving', 'resolved'],
+    default: 'open'
+  },
+  // What was held in the worker's wallet because the payment had already
+  // been credited; released on resolution
+  heldAmount: {
+    type: Number,
+    default: 0
+  },
+  evidence: [{
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    filename: String,
+    originalName: String,
+    path: String,
+    size: Number,
+    mimeType: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  messages: [{
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolution: {
+    // release: pay as submitted, adjust: pay `amount`, refund: pay nothing
+    outcome: {
+      type: String,
+      enum: ['release', 'adjust', 'refund']
+    },
+    amount: Number,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ store: 1, status: 1 });
+disputeSchema.index({ worker: 1, status: 1 });
+// At most one open dispute per worker assignment
+disputeSchema.index(
+  { gig: 1, worker: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Whether a user is the store or worker in the dispute
+disputeSchema.methods.isParty = function(userId) {
+  return [this.store, this.worker].some(party => party.toString() === userId.toString());
+};
+
+export default mongoose.model('Dispute', disputeSchema);
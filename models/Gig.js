@@ -1,5 +1,110 @@
 import mongoose from 'mongoose';
 
+// Where and how a worker checked in or out
+const checkpointSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  location: {
+    lat: Number,
+    lng: Number
+  },
+  accuracy: Number, // metres, as reported by the device
+  distanceMeters: Number,
+  method: {
+    type: String,
+    enum: ['location', 'qr'],
+    required: true
+  },
+  // Within the radius or a valid code; flagged when allowed but unproven
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  // Why it was flagged: too far away, or no gig coordinates to check against
+  flagReason: {
+    type: String,
+    enum: ['out_of_range', 'no_gig_location']
+  }
+}, { _id: false });
+
+// Hours a worker submits on completion, and the store's decision on them
+const timesheetSchema = new mongoose.Schema({
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Auto-approved if the store has not acted by then
+  approveBy: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'adjusted', 'auto-approved', 'disputed'],
+    default: 'pending'
+  },
+  approvedHours: Number,
+  payableAmount: Number,
+  reason: String, // required when adjusting or disputing
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
+// One accepted worker on a gig, with their own progress and payment.
+// A worker has at most one active (non-cancelled) assignment per gig.
+const assignmentSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'in-progress', 'pending-approval', 'completed', 'cancelled'],
+    default: 'assigned'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  checkIn: checkpointSchema,
+  checkOut: checkpointSchema,
+  timesheet: timesheetSchema,
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }
+}, { _id: false });
+
 const gigSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -20,11 +125,14 @@ const gigSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  worker: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    default: null
+  // Workers needed; the gig is fully assigned once every slot is filled
+  headcount: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 50
   },
+  assignments: [assignmentSchema],
   
   // Location
   location: {
@@ -35,6 +143,17 @@ const gigSchema = new mongoose.Schema({
     coordinates: {
       lat: Number,
       lng: Number
+    },
+    // GeoJSON point mirrored from coordinates for geospatial queries
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined
+      }
     }
   },
   
@@ -51,6 +170,19 @@ const gigSchema = new mongoose.Schema({
     type: Number, // in hours
     required: true
   },
+
+  // Recurring series this gig is an occurrence of
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GigSeries'
+  },
+  occurrenceDate: String, // local 'YYYY-MM-DD'
+  // Until then only returning workers of the series may apply
+  priorityUntil: Date,
+  priorityWorkers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   
   // Payment
   hourlyRate: {
@@ -62,6 +194,7 @@ const gigSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Rolled up from assignments: paid once every completed assignment is paid
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'failed'],
@@ -71,7 +204,7 @@ const gigSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['open', 'assigned', 'in-progress', 'completed', 'cancelled'],
+    enum: ['open', 'assigned', 'in-progress', 'pending-approval', 'completed', 'cancelled'],
     default: 'open'
   },
   
@@ -96,9 +229,30 @@ const gigSchema = new mongoose.Schema({
     message: String,
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected'],
+      enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'cancelled'],
       default: 'pending'
-    }
+    },
+    withdrawnAt: Date
+  }],
+  
+  // Direct invitations from the store
+  invitations: [{
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    message: String,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+      default: 'pending'
+    },
+    expiresAt: Date,
+    respondedAt: Date
   }],
   
   // Reviews
@@ -126,13 +280,53 @@ const gigSchema = new mongoose.Schema({
     }
   }],
   
+  // Edit history
+  revisions: [{
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changes: [{
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    isMaterial: Boolean
+  }],
+  
   // Timestamps
   assignedAt: Date,
   startedAt: Date,
   completedAt: Date,
   cancelledAt: Date,
   cancellationReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lateCancellation: {
+    type: Boolean,
+    default: false
+  },
+  cancellationPayout: {
+    type: Number,
+    default: 0
+  },
   
+  // Presence checks: require the store's rotating QR code instead of location
+  requireCheckInCode: {
+    type: Boolean,
+    default: false
+  },
+  checkInSecret: {
+    type: String,
+    select: false
+  },
+
   // Additional fields
   isUrgent: {
     type: Boolean,
@@ -152,9 +346,21 @@ const gigSchema = new mongoose.Schema({
 
 // Index for better performance
 gigSchema.index({ store: 1, status: 1 });
-gigSchema.index({ worker: 1, status: 1 });
+gigSchema.index({ 'assignments.worker': 1, status: 1 });
 gigSchema.index({ status: 1, startTime: 1 });
 gigSchema.index({ 'location.city': 1, category: 1 });
+gigSchema.index({ 'reviews.reviewee': 1 });
+gigSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
+gigSchema.index({ 'applications.worker': 1 });
+gigSchema.index({ 'invitations.worker': 1 });
+gigSchema.index({ 'location.geo': '2dsphere' });
+gigSchema.index(
+  { title: 'text', skills: 'text', requirements: 'text', description: 'text' },
+  { name: 'gig_text_search', weights: { title: 10, skills: 5, requirements: 3, description: 1 } }
+);
 
 // Virtual for checking if gig is active
 gigSchema.virtual('isActive').get(function() {
@@ -162,6 +368,173 @@ gigSchema.virtual('isActive').get(function() {
          this.endTime > new Date();
 });
 
+// Active (non-cancelled) assignments
+gigSchema.methods.getActiveAssignments = function() {
+  return this.assignments.filter(assignment => assignment.status !== 'cancelled');
+};
+
+// A worker's active assignment on this gig, if any
+gigSchema.methods.getAssignment = function(workerId) {
+  return this.getActiveAssignments()
+    .find(assignment => assignment.worker.toString() === workerId.toString());
+};
+
+gigSchema.methods.isFullyStaffed = function() {
+  return this.getActiveAssignments().length >= this.headcount;
+};
+
+// Derive gig status and paymentStatus from assignments
+gigSchema.methods.refreshStatus = function(now = new Date()) {
+  if (this.status === 'cancelled') return this.status;
+
+  const active = this.getActiveAssignments();
+  const completed = active.filter(assignment => assignment.status === 'completed');
+  const finished = active.filter(assignment => ['pending-approval', 'completed'].includes(assignment.status));
+  const started = active.some(assignment => assignment.status !== 'assigned');
+  const closed = this.isFullyStaffed() || this.startTime <= now;
+
+  if (active.length > 0 && completed.length === active.length && closed) {
+    this.status = 'completed';
+    this.completedAt = this.completedAt || now;
+  } else if (active.length > 0 && finished.length === active.length && closed) {
+    // Every worker is done; waiting on the store to approve timesheets
+    this.status = 'pending-approval';
+  } else if (started) {
+    this.status = 'in-progress';
+    this.startedAt = this.startedAt || now;
+  } else if (this.isFullyStaffed()) {
+    this.status = 'assigned';
+    this.assignedAt = this.assignedAt || now;
+  } else {
+    this.status = 'open';
+  }
+
+  if (completed.some(assignment => assignment.paymentStatus === 'failed')) {
+    this.paymentStatus = 'failed';
+  } else if (completed.length > 0 && completed.every(assignment => assignment.paymentStatus === 'paid')) {
+    this.paymentStatus = 'paid';
+  } else {
+    this.paymentStatus = 'pending';
+  }
+
+  return this.status;
+};
+
+// Move gigs created before multi-headcount support from the single
+// `worker` field into `assignments`. Safe to run repeatedly.
+gigSchema.statics.migrateLegacyAssignments = function() {
+  const assignmentStatus = {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$status', 'in-progress'] }, then: 'in-progress' },
+        { case: { $eq: ['$status', 'completed'] }, then: 'completed' },
+        { case: { $eq: ['$status', 'cancelled'] }, then: 'cancelled' }
+      ],
+      default: 'assigned'
+    }
+  };
+
+  return this.collection.updateMany(
+    { worker: { $type: 'objectId' }, 'assignments.0': { $exists: false } },
+    [
+      {
+        $set: {
+          headcount: { $ifNull: ['$headcount', 1] },
+          assignments: [{
+            worker: '$worker',
+            status: assignmentStatus,
+            assignedAt: { $ifNull: ['$assignedAt', '$createdAt'] },
+            startedAt: '$startedAt',
+            completedAt: '$completedAt',
+            cancelledAt: '$cancelledAt',
+            paymentStatus: { $ifNull: ['$paymentStatus', 'pending'] }
+          }]
+        }
+      },
+      { $unset: 'worker' }
+    ]
+  );
+};
+
+// Fill in `location.geo` for gigs saved before it was mirrored from
+// coordinates, so geospatial searches find them. Safe to run repeatedly.
+gigSchema.statics.backfillGeo = function() {
+  return this.collection.updateMany(
+    {
+      'location.coordinates.lat': { $type: 'number' },
+      'location.coordinates.lng': { $type: 'number' },
+      'location.geo.coordinates': { $exists: false }
+    },
+    [
+      {
+        $set: {
+          'location.geo': {
+            type: 'Point',
+            coordinates: ['$location.coordinates.lng', '$location.coordinates.lat']
+          }
+        }
+      }
+    ]
+  );
+};
+
+// Find a worker's active assignments overlapping a time range
+gigSchema.statics.findOverlappingAssignments = function(workerId, startTime, endTime, excludeGigId = null) {
+  const filter = {
+    assignments: {
+      $elemMatch: { worker: workerId, status: { $in: ['assigned', 'in-progress'] } }
+    },
+    status: { $ne: 'cancelled' },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeGigId) filter._id = { $ne: excludeGigId };
+  return this.find(filter).select('title startTime endTime status');
+};
+
+// Get reviews received by a user across all gigs, newest first
+gigSchema.statics.findReviewsForUser = function(userId, { skip = 0, limit = 10 } = {}) {
+  const revieweeId = new mongoose.Types.ObjectId(userId);
+
+  return this.aggregate([
+    { $match: { 'reviews.reviewee': revieweeId } },
+    { $unwind: '$reviews' },
+    { $match: { 'reviews.reviewee': revieweeId } },
+    { $sort: { 'reviews.createdAt': -1 } },
+    {
+      $facet: {
+        reviews: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'reviews.reviewer',
+              foreignField: '_id',
+              as: 'reviewer',
+              pipeline: [{ $project: { fullName: 1, businessName: 1, profileImage: 1, userType: 1 } }]
+            }
+          },
+          {
+            $project: {
+              _id: '$reviews._id',
+              rating: '$reviews.rating',
+              comment: '$reviews.comment',
+              createdAt: '$reviews.createdAt',
+              reviewer: { $arrayElemAt: ['$reviewer', 0] },
+              gig: { _id: '$_id', title: '$title', category: '$category' }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).then(([result]) => ({
+    reviews: result.reviews,
+    total: result.total.length ? result.total[0].count : 0
+  }));
+};
+
 // Method to calculate total amount
 gigSchema.methods.calculateTotalAmount = function() {
   this.totalAmount = this.hourlyRate * this.duration;
@@ -173,6 +546,12 @@ gigSchema.pre('save', function(next) {
   if (this.isModified('hourlyRate') || this.isModified('duration')) {
     this.calculateTotalAmount();
   }
+  if (this.isModified('location.coordinates')) {
+    const { lat, lng } = this.location.coordinates || {};
+    this.location.geo = typeof lat === 'number' && typeof lng === 'number'
+      ? { type: 'Point', coordinates: [lng, lat] }
+      : undefined;
+  }
   next();
 });
 
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { gigDetailsFields, shiftFields } from './GigTemplate.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A recurring shift. Occurrences are generated ahead of time as individual
+// gigs linked back through Gig.series.
+const gigSeriesSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GigTemplate'
+  },
+  // Copied into each generated occurrence; series-wide edits update it
+  details: new mongoose.Schema(gigDetailsFields, { _id: false }),
+  shift: shiftFields,
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 12
+    },
+    // 0 (Sunday) to 6 (Saturday); weekly only
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    startDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN
+    },
+    until: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN
+    }
+  },
+  // Last date occurrences have been generated for
+  generatedThrough: {
+    type: String,
+    match: DATE_PATTERN
+  },
+  // Invite workers who completed earlier occurrences before opening new ones to everyone
+  prioritizeReturningWorkers: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+gigSeriesSchema.pre('validate', function(next) {
+  if (this.recurrence.frequency === 'weekly' && this.recurrence.daysOfWeek.length === 0) {
+    this.invalidate('recurrence.daysOfWeek', 'Weekly series need at least one day of the week');
+  }
+  next();
+});
+
+// Index for better performance
+gigSeriesSchema.index({ store: 1, status: 1 });
+gigSeriesSchema.index({ status: 1, generatedThrough: 1 });
+
+export default mongoose.model('GigSeries', gigSeriesSchema);
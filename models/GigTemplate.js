@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// Gig fields a template or series fills in for each gig it creates
+export const gigDetailsFields = {
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['retail', 'delivery', 'warehouse', 'customer-service', 'other']
+  },
+  location: {
+    address: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    pincode: { type: String, required: true },
+    coordinates: {
+      lat: Number,
+      lng: Number
+    }
+  },
+  hourlyRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  headcount: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 50
+  },
+  requirements: [{
+    type: String
+  }],
+  skills: [{
+    type: String
+  }],
+  isUrgent: {
+    type: Boolean,
+    default: false
+  },
+  maxApplications: {
+    type: Number,
+    default: 10
+  }
+};
+
+// Local shift times ('HH:mm'); a shift ending at or before its start ends the next day
+export const shiftFields = {
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/
+  }
+};
+
+// Reusable gig a store can post again or schedule as a recurring series
+const gigTemplateSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  ...gigDetailsFields,
+  shift: shiftFields,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+gigTemplateSchema.index({ store: 1, isActive: 1 });
+
+// Gig fields to copy into a new gig or series
+gigTemplateSchema.methods.getGigDetails = function() {
+  const { title, description, category, location, hourlyRate, headcount, requirements, skills, isUrgent, maxApplications } = this.toObject();
+  return { title, description, category, location, hourlyRate, headcount, requirements, skills, isUrgent, maxApplications };
+};
+
+export default mongoose.model('GigTemplate', gigTemplateSchema);
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: String,
+  stateCode: String,
+  state: String
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  description: String,
+  sac: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Negative for credit notes consolidated into a monthly invoice
+  workerPayout: Number,
+  platformFee: Number
+}, { _id: false });
+
+// GST tax invoice issued to a store, either for a single completed payment
+// or consolidating a month of them, or a credit note for a refund
+const invoiceSchema = new mongoose.Schema({
+  // Assigned once the invoice's slot has been claimed
+  number: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'monthly', 'credit_note'],
+    required: true
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Payment invoices and credit notes
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Credit notes only: the refund (within `payment`) and the invoice it credits
+  refund: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalInvoiceNumber: String,
+  // Monthly invoices only
+  period: {
+    year: Number,
+    month: Number
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplier: partySchema,
+  recipient: partySchema,
+  placeOfSupply: String,
+  lines: [lineSchema],
+  // Collected on the workers' behalf; outside the platform's taxable supply
+  workerPayout: {
+    type: Number,
+    required: true
+  },
+  // Tax-inclusive platform fee
+  platformFee: {
+    type: Number,
+    required: true
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  taxRate: Number,
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  pdfPath: String,
+  jsonPath: String
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+invoiceSchema.index({ store: 1, issuedAt: -1 });
+// One invoice per payment, one credit note per refund and one consolidated
+// invoice per store and month
+invoiceSchema.index(
+  { payment: 1 },
+  { unique: true, partialFilterExpression: { type: 'payment' } }
+);
+invoiceSchema.index(
+  { refund: 1 },
+  { unique: true, partialFilterExpression: { type: 'credit_note' } }
+);
+invoiceSchema.index(
+  { store: 1, 'period.year': 1, 'period.month': 1 },
+  { unique: true, partialFilterExpression: { type: 'monthly' } }
+);
+
+export default mongoose.model('Invoice', invoiceSchema);
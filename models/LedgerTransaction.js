@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Ledger accounts. Worker accounts are kept per user; the rest are platform-wide.
+export const ACCOUNTS = {
+  // Earnings the worker can withdraw
+  WORKER_WALLET: 'worker_wallet',
+  // Withdrawals requested but not yet paid out
+  PAYOUTS_IN_TRANSIT: 'payouts_in_transit',
+  // Platform revenue
+  PLATFORM_FEES: 'platform_fees',
+  // Money collected from stores and paid out to workers through the gateway
+  GATEWAY: 'gateway'
+};
+
+// One side of a transaction: positive amounts credit the account, negative
+// amounts debit it
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: Object.values(ACCOUNTS),
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A balanced, append-only double-entry transaction. Balances are the sum
+// of an account's lines across all transactions.
+const ledgerTransactionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['payment_completed', 'payment_refunded', 'withdrawal_requested', 'withdrawal_paid', 'withdrawal_failed'],
+    required: true
+  },
+  // Identifies the event being recorded so it is only posted once
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  description: String,
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+ledgerTransactionSchema.index({ 'lines.account': 1, 'lines.user': 1, createdAt: -1 });
+ledgerTransactionSchema.index({ payment: 1 });
+
+// Debits and credits must cancel out (compared in paise to avoid float drift)
+ledgerTransactionSchema.pre('validate', function(next) {
+  const total = this.lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+
+  if (this.lines.length < 2 || total !== 0) {
+    this.invalidate('lines', 'Ledger transaction must have at least two lines that balance');
+  }
+  next();
+});
+
+export default mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { publish } from '../services/notificationStream.js';
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -12,7 +13,16 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['gig_assigned', 'gig_completed', 'payment_received', 'application_received', 'application_accepted', 'application_rejected', 'system'],
+    enum: [
+      'gig_assigned', 'gig_completed', 'payment_received', 'payment_failed', 'payment_refunded',
+      'application_received', 'application_accepted', 'application_rejected',
+      'application_withdrawn', 'gig_invitation', 'invitation_accepted', 'invitation_declined',
+      'document_approved', 'document_rejected', 'account_verified',
+      'review_received', 'gig_cancelled', 'worker_cancelled', 'gig_updated',
+      'check_in_flagged', 'timesheet_approved', 'timesheet_adjusted', 'timesheet_disputed',
+      'dispute_opened', 'dispute_message', 'dispute_resolved',
+      'withdrawal_completed', 'withdrawal_failed', 'system'
+    ],
     required: true
   },
   title: {
@@ -28,7 +38,21 @@ const notificationSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Gig'
     },
-    applicationId: mongoose.Schema.Types.ObjectId
+    applicationId: mongoose.Schema.Types.ObjectId,
+    invitationId: mongoose.Schema.Types.ObjectId,
+    disputeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dispute'
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    withdrawalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Withdrawal'
+    },
+    documentType: String
   },
   isRead: {
     type: Boolean,
@@ -42,4 +66,16 @@ const notificationSchema = new mongoose.Schema({
 // Index for better performance
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 
+// Push newly created notifications to the recipient's open streams
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) {
+    publish(doc);
+  }
+});
+
 export default mongoose.model('Notification', notificationSchema);
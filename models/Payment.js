@@ -1,5 +1,41 @@
 import mongoose from 'mongoose';
 
+// A full or partial refund of a completed payment
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // How the refund splits between the platform fee and the worker's payout
+  platformFeeReversed: Number,
+  workerClawback: Number,
+  reason: {
+    type: String,
+    required: true
+  },
+  // Retrying a refund with the same key returns the original refund
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  paymentGatewayResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
 const paymentSchema = new mongoose.Schema({
   gig: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,6 +52,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  type: {
+    type: String,
+    enum: ['gig_payment', 'cancellation_fee'],
+    default: 'gig_payment'
+  },
   amount: {
     type: Number,
     required: true,
@@ -33,7 +74,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
     default: 'pending'
   },
   paymentMethod: {
@@ -49,15 +90,33 @@ const paymentSchema = new mongoose.Schema({
   paymentGatewayResponse: {
     type: mongoose.Schema.Types.Mixed
   },
+  // Frozen while a dispute over this payment is open
+  onHold: {
+    type: Boolean,
+    default: false
+  },
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
   processedAt: Date,
+  // Total refunded so far; the payment becomes `refunded` once it reaches `amount`
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [refundSchema],
   refundedAt: Date,
-  refundReason: String
+  refundReason: String,
+  // Voided before it was ever charged, e.g. by a dispute resolution
+  cancelledAt: Date,
+  cancellationReason: String
 }, {
   timestamps: true
 });
 
-// Pre-save middleware to calculate platform fee and worker amount
-paymentSchema.pre('save', function(next) {
+// Calculate platform fee and worker amount before validation, since both are required
+paymentSchema.pre('validate', function(next) {
   if (this.isModified('amount')) {
     this.platformFee = this.amount * 0.1; // 10% platform fee
     this.workerAmount = this.amount - this.platformFee;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Managed skill taxonomy that workers choose their skills from
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['retail', 'delivery', 'warehouse', 'customer-service', 'other']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+skillSchema.index({ isActive: 1, category: 1 });
+
+// Build a slug from a display name
+skillSchema.statics.slugify = function(name) {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+export default mongoose.model('Skill', skillSchema);
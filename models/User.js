@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const documentSchema = new mongoose.Schema({
   filename: String,
@@ -7,9 +8,36 @@ const documentSchema = new mongoose.Schema({
   path: String,
   size: Number,
   mimeType: String,
-  uploadedAt: { type: Date, default: Date.now }
+  uploadedAt: { type: Date, default: Date.now },
+  // Review by a verifier
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewReason: String
 });
 
+const DOCUMENT_TYPES = [
+  'aadhaarDocument',
+  'panDocument',
+  'gstDocument',
+  'shopLicenseDocument',
+  'drivingLicenseDocument',
+  'vehicleDocument'
+];
+
+// Documents that must be approved before a user is verified
+const REQUIRED_DOCUMENTS = {
+  store: ['gstDocument', 'panDocument', 'shopLicenseDocument'],
+  worker: ['aadhaarDocument', 'panDocument']
+};
+
 const userSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -46,6 +74,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerification: {
+    tokenHash: String,
+    expiresAt: Date
+  },
   profileImage: {
     type: String,
     default: null
@@ -76,6 +112,70 @@ const userSchema = new mongoose.Schema({
   vehicleNumber: {
     type: String
   },
+  // Where wallet withdrawals are paid out
+  payoutDetails: {
+    bankAccount: {
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String
+    },
+    upiId: String
+  },
+  skills: [{
+    type: String // Skill slugs
+  }],
+  languages: [{
+    type: String,
+    trim: true
+  }],
+  preferredCategories: [{
+    type: String,
+    enum: ['retail', 'delivery', 'warehouse', 'customer-service', 'other']
+  }],
+  location: {
+    address: String,
+    city: String,
+    pincode: String,
+    coordinates: {
+      lat: Number,
+      lng: Number
+    },
+    // GeoJSON point mirrored from coordinates for geospatial queries
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined
+      }
+    }
+  },
+  travelRadiusKm: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 100
+  },
+  yearsOfExperience: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 50
+  },
+  // Weekly time slots ('HH:mm', local time) and blocked dates ('YYYY-MM-DD')
+  availability: {
+    weekly: [{
+      _id: false,
+      dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      start: { type: String, required: true },
+      end: { type: String, required: true }
+    }],
+    blackoutDates: [{
+      type: String
+    }]
+  },
   
   // Store specific fields
   gstNumber: {
@@ -124,6 +224,18 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Late cancellations by workers
+  reliabilityStrikes: [{
+    gig: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Gig'
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -131,15 +243,30 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Incremented to invalidate all issued JWTs (force logout)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   otp: {
-    code: String,
+    codeHash: String,
     expiresAt: Date,
     attempts: { type: Number, default: 0 }
+  },
+  // OTP send throttling (kept separate from otp so it survives verification)
+  otpDelivery: {
+    lastSentAt: Date,
+    windowStart: Date,
+    sentCount: { type: Number, default: 0 }
   }
 }, {
   timestamps: true
 });
 
+// Index for better performance
+userSchema.index({ userType: 1, isActive: 1, skills: 1 });
+userSchema.index({ 'location.geo': '2dsphere' });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -147,6 +274,17 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Mirror home coordinates into the GeoJSON point
+userSchema.pre('save', function(next) {
+  if (this.isModified('location.coordinates')) {
+    const { lat, lng } = (this.location && this.location.coordinates) || {};
+    this.set('location.geo', typeof lat === 'number' && typeof lng === 'number'
+      ? { type: 'Point', coordinates: [lng, lat] }
+      : undefined);
+  }
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   const self = this;
@@ -158,21 +296,109 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Generate OTP method
-userSchema.methods.generateOTP = function() {
-  // Always use fixed OTP 123456
-  const otp = '123456';
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
-    attempts: 0
-  };
-  return otp;
+const OTP_RESEND_COOLDOWN = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60') * 1000;
+const OTP_DAILY_LIMIT = parseInt(process.env.OTP_DAILY_LIMIT || '5');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keyed so a leaked hash cannot be brute-forced over the million possible
+// codes. OTP_SECRET is checked at startup (server.js).
+const hashOTP = (otp) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET)
+  .update(otp)
+  .digest('hex');
+
+// Check resend cooldown and per-phone daily cap
+userSchema.methods.canSendOTP = function() {
+  const now = Date.now();
+  const delivery = this.otpDelivery || {};
+
+  if (delivery.lastSentAt && now - delivery.lastSentAt.getTime() < OTP_RESEND_COOLDOWN) {
+    const retryAfter = Math.ceil((OTP_RESEND_COOLDOWN - (now - delivery.lastSentAt.getTime())) / 1000);
+    return { allowed: false, message: `Please wait ${retryAfter} seconds before requesting another OTP`, retryAfter };
+  }
+
+  const windowActive = delivery.windowStart && now - delivery.windowStart.getTime() < DAY_MS;
+  if (windowActive && delivery.sentCount >= OTP_DAILY_LIMIT) {
+    const retryAfter = Math.ceil((DAY_MS - (now - delivery.windowStart.getTime())) / 1000);
+    return { allowed: false, message: 'Daily OTP limit reached. Please try again later', retryAfter };
+  }
+
+  return { allowed: true };
+};
+
+// Generate a new OTP and count its send against the cooldown and daily cap
+// in one conditional write, so parallel requests cannot both get through.
+// Returns { allowed: true, otp, sentAt } or the refusal from canSendOTP.
+userSchema.methods.issueOTP = async function() {
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const now = new Date();
+  const cooldownCutoff = new Date(now.getTime() - OTP_RESEND_COOLDOWN);
+  const windowCutoff = new Date(now.getTime() - DAY_MS);
+  const windowActive = { $gt: ['$otpDelivery.windowStart', windowCutoff] };
+
+  const issued = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $and: [
+        {
+          $or: [
+            { 'otpDelivery.lastSentAt': { $exists: false } },
+            { 'otpDelivery.lastSentAt': { $lte: cooldownCutoff } }
+          ]
+        },
+        {
+          $or: [
+            { 'otpDelivery.windowStart': { $exists: false } },
+            { 'otpDelivery.windowStart': { $lte: windowCutoff } },
+            { 'otpDelivery.sentCount': { $lt: OTP_DAILY_LIMIT } }
+          ]
+        }
+      ]
+    },
+    [
+      {
+        $set: {
+          otp: {
+            codeHash: hashOTP(otp),
+            expiresAt: new Date(now.getTime() + 10 * 60 * 1000), // 10 minutes
+            attempts: 0
+          },
+          'otpDelivery.lastSentAt': now,
+          'otpDelivery.windowStart': { $cond: [windowActive, '$otpDelivery.windowStart', now] },
+          'otpDelivery.sentCount': {
+            $cond: [windowActive, { $add: [{ $ifNull: ['$otpDelivery.sentCount', 0] }, 1] }, 1]
+          }
+        }
+      }
+    ]
+  );
+
+  if (issued.matchedCount === 0) {
+    const current = await this.constructor.findById(this._id).select('otpDelivery');
+    const refusal = current ? current.canSendOTP() : { allowed: false };
+    // Lost a race that canSendOTP no longer sees
+    return refusal.allowed
+      ? { allowed: false, message: 'Please wait before requesting another OTP', retryAfter: 1 }
+      : refusal;
+  }
+
+  return { allowed: true, otp, sentAt: now };
+};
+
+// Give back an OTP send that could not be delivered, unless another has
+// been issued since
+userSchema.methods.releaseOTP = function(sentAt, previousSentAt) {
+  return this.constructor.updateOne(
+    { _id: this._id, 'otpDelivery.lastSentAt': sentAt },
+    previousSentAt
+      ? { $inc: { 'otpDelivery.sentCount': -1 }, $set: { 'otpDelivery.lastSentAt': previousSentAt }, $unset: { otp: 1 } }
+      : { $inc: { 'otpDelivery.sentCount': -1 }, $unset: { otp: 1, 'otpDelivery.lastSentAt': 1 } }
+  );
 };
 
 // Verify OTP method
 userSchema.methods.verifyOTP = function(candidateOTP) {
-  if (!this.otp || !this.otp.code) {
+  if (!this.otp || !this.otp.codeHash) {
     return { valid: false, message: 'No OTP generated' };
   }
   
@@ -186,7 +412,9 @@ userSchema.methods.verifyOTP = function(candidateOTP) {
   
   this.otp.attempts += 1;
   
-  if (this.otp.code !== candidateOTP) {
+  const candidateHash = Buffer.from(hashOTP(String(candidateOTP)), 'hex');
+  const storedHash = Buffer.from(this.otp.codeHash, 'hex');
+  if (candidateHash.length !== storedHash.length || !crypto.timingSafeEqual(candidateHash, storedHash)) {
     return { valid: false, message: 'Invalid OTP' };
   }
   
@@ -195,4 +423,57 @@ userSchema.methods.verifyOTP = function(candidateOTP) {
   return { valid: true, message: 'OTP verified successfully' };
 };
 
+// Check whether every document required for the userType is approved
+userSchema.methods.hasRequiredDocumentsApproved = function() {
+  const required = REQUIRED_DOCUMENTS[this.userType] || [];
+  return required.length > 0 && required.every(type =>
+    this.documents && this.documents[type] && this.documents[type].status === 'approved'
+  );
+};
+
+// Generate email verification token (returned in plain, stored hashed)
+userSchema.methods.generateEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerification = {
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+  };
+  return token;
+};
+
+// Find the user an email verification token was issued to
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    'emailVerification.tokenHash': crypto.createHash('sha256').update(token).digest('hex'),
+    'emailVerification.expiresAt': { $gt: new Date() }
+  });
+};
+
+// Give documents uploaded before verifier review existed a review status, so
+// they show up in the verification queue. Users already verified keep theirs
+// as approved. Safe to run repeatedly.
+userSchema.statics.backfillDocumentStatus = async function() {
+  let modifiedCount = 0;
+  for (const type of DOCUMENT_TYPES) {
+    const result = await this.collection.updateMany(
+      {
+        [`documents.${type}.path`]: { $exists: true },
+        [`documents.${type}.status`]: { $exists: false }
+      },
+      [
+        {
+          $set: {
+            [`documents.${type}.status`]: {
+              $cond: [{ $eq: ['$isVerified', true] }, 'approved', 'pending']
+            }
+          }
+        }
+      ]
+    );
+    modifiedCount += result.modifiedCount;
+  }
+  return { modifiedCount };
+};
+
+export { DOCUMENT_TYPES, REQUIRED_DOCUMENTS };
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Running balance of a worker's wallet account, kept so withdrawals can be
+// reserved atomically. The ledger is the source of truth; reconciliation
+// compares the two.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // Part of the balance held back while disputes over paid-out work are
+  // open; it cannot be withdrawn
+  onHold: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// A worker's request to pay out part of their wallet balance
+const withdrawalSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'upi'],
+    required: true
+  },
+  // Copied from the worker's payout details when requested
+  destination: {
+    accountHolderName: String,
+    accountNumber: String,
+    ifscCode: String,
+    upiId: String
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'completed', 'failed'],
+    default: 'requested'
+  },
+  transactionId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  paymentGatewayResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Index for better performance
+withdrawalSchema.index({ worker: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+// Generate unique transaction ID
+withdrawalSchema.methods.generateTransactionId = function() {
+  const timestamp = Date.now().toString();
+  const random = Math.random().toString(36).substring(2, 8);
+  this.transactionId = `WDL${timestamp}${random}`.toUpperCase();
+  return this.transactionId;
+};
+
+export default mongoose.model('Withdrawal', withdrawalSchema);
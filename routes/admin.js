@@ -0,0 +1,443 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Gig from '../models/Gig.js';
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import Skill from '../models/Skill.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/helpers.js';
+import { reconcileLedger } from '../services/wallet.js';
+const router = express.Router();
+
+const PRIVILEGED_TYPES = ['admin', 'super_admin'];
+
+const reasonValidation = body('reason')
+  .trim()
+  .notEmpty()
+  .withMessage('Reason is required')
+  .isLength({ max: 500 })
+  .withMessage('Reason must not exceed 500 characters');
+
+// Load the target user and check the admin may act on them
+const loadTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  // Only super admins may manage other admins
+  if (PRIVILEGED_TYPES.includes(user.userType) && req.user.userType !== 'super_admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Insufficient permissions.'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+router.use(auth, authorize('admin', 'super_admin'));
+
+// Search and filter users
+router.get('/users', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      userType,
+      city,
+      isVerified,
+      isActive
+    } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (userType) filter.userType = userType;
+    if (city) filter.city = new RegExp(`^${escapeRegex(city)}$`, 'i');
+    if (isVerified === 'true' || isVerified === 'false') filter.isVerified = isVerified === 'true';
+    if (isActive === 'true' || isActive === 'false') filter.isActive = isActive === 'true';
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { fullName: pattern },
+        { email: pattern },
+        { phoneNumber: pattern },
+        { businessName: pattern }
+      ];
+    }
+
+    const users = await User.find(filter)
+      .select('fullName phoneNumber email userType city businessName isVerified isActive rating lastLogin createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get users'
+    });
+  }
+});
+
+// Get full user detail
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password -otp -emailVerification');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const gigFilter = user.userType === 'store' ? { store: user._id } : { 'assignments.worker': user._id };
+    const [gigStats, auditLog] = await Promise.all([
+      Gig.aggregate([
+        { $match: gigFilter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      AdminAuditLog.find({ targetUser: user._id })
+        .populate('admin', 'fullName userType')
+        .sort({ createdAt: -1 })
+        .limit(20)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        gigStats: gigStats.reduce((stats, { _id, count }) => ({ ...stats, [_id]: count }), {}),
+        auditLog
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user'
+    });
+  }
+});
+
+// Deactivate or reactivate a user
+const setActiveStatus = (isActive) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive === isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${isActive ? 'active' : 'deactivated'}`
+      });
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    await AdminAuditLog.create({
+      admin: req.user._id,
+      targetUser: user._id,
+      action: isActive ? 'reactivate' : 'deactivate',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: `User ${isActive ? 'reactivated' : 'deactivated'} successfully`
+    });
+  } catch (error) {
+    console.error('Admin set user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status'
+    });
+  }
+};
+
+router.put('/users/:id/deactivate', [reasonValidation], setActiveStatus(false));
+router.put('/users/:id/reactivate', [reasonValidation], setActiveStatus(true));
+
+// Force logout (invalidate all issued tokens)
+router.post('/users/:id/force-logout', [reasonValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+
+    await AdminAuditLog.create({
+      admin: req.user._id,
+      targetUser: user._id,
+      action: 'force_logout',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User logged out from all sessions'
+    });
+  } catch (error) {
+    console.error('Admin force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to force logout'
+    });
+  }
+});
+
+// Change user role (super admin only)
+router.put('/users/:id/role', authorize('super_admin'), [
+  body('userType')
+    .isIn(['store', 'worker', 'admin', 'super_admin', 'verifier'])
+    .withMessage('Invalid user type'),
+  reasonValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const previousType = user.userType;
+    if (previousType === req.body.userType) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${previousType}`
+      });
+    }
+
+    // Role is embedded in issued tokens, so revoke them. Skip validation:
+    // type-specific fields (e.g. Aadhaar for workers) may not exist yet.
+    user.userType = req.body.userType;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save({ validateBeforeSave: false });
+
+    await AdminAuditLog.create({
+      admin: req.user._id,
+      targetUser: user._id,
+      action: 'change_role',
+      reason: req.body.reason,
+      details: { from: previousType, to: user.userType }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { userType: user.userType }
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change user role'
+    });
+  }
+});
+
+// Get skill taxonomy, including inactive skills
+router.get('/skills', async (req, res) => {
+  try {
+    const skills = await Skill.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { skills }
+    });
+  } catch (error) {
+    console.error('Admin get skills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get skills'
+    });
+  }
+});
+
+// Add a skill to the taxonomy
+router.post('/skills', [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('category')
+    .optional()
+    .isIn(['retail', 'delivery', 'warehouse', 'customer-service', 'other'])
+    .withMessage('Invalid category')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const slug = Skill.slugify(req.body.name);
+    const existingSkill = await Skill.findOne({ slug });
+
+    if (existingSkill) {
+      return res.status(400).json({
+        success: false,
+        message: 'Skill already exists'
+      });
+    }
+
+    const skill = await Skill.create({
+      name: req.body.name,
+      slug,
+      category: req.body.category
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Skill created successfully',
+      data: { skill }
+    });
+  } catch (error) {
+    console.error('Admin create skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create skill'
+    });
+  }
+});
+
+// Rename, recategorise or (de)activate a skill. The slug never changes
+// so workers' existing skills keep matching.
+router.put('/skills/:id', [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('category')
+    .optional()
+    .isIn(['retail', 'delivery', 'warehouse', 'customer-service', 'other'])
+    .withMessage('Invalid category'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, category, isActive } = req.body;
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (category) updateData.category = category;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const skill = await Skill.findByIdAndUpdate(req.params.id, updateData, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Skill updated successfully',
+      data: { skill }
+    });
+  } catch (error) {
+    console.error('Admin update skill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update skill'
+    });
+  }
+});
+
+// Reconcile wallet balances against the ledger and report account totals
+router.get('/ledger/reconciliation', async (req, res) => {
+  try {
+    const report = await reconcileLedger();
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile ledger'
+    });
+  }
+});
+
+export default router;
@@ -4,6 +4,8 @@ import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import { auth } from '../middleware/auth.js';
 import { comparePassword } from '../utils/passwordUtils.js';
+import { getOtpProvider } from '../services/otpProvider.js';
+import { sendVerificationEmail } from '../services/emailService.js';
 const router = express.Router();
 
 // Admin Login (Phone/OTP)
@@ -28,7 +30,7 @@ router.post('/admin-login', [
     const { phone, otp } = req.body;
 
     // Find admin user by phone
-    const user = await User.findOne({ phoneNumber: phone, userType: { $in: ['admin', 'verifier'] } });
+    const user = await User.findOne({ phoneNumber: phone, userType: { $in: ['admin', 'super_admin', 'verifier'] } });
     
     if (!user) {
       return res.status(401).json({
@@ -37,11 +39,14 @@ router.post('/admin-login', [
       });
     }
 
-    // For admin users, use fixed OTP for development
-    if (otp !== '123456') {
+    // Admin OTPs are requested through /send-otp like everyone else
+    const verification = user.verifyOTP(otp);
+
+    if (!verification.valid) {
+      await user.save(); // Save attempts
       return res.status(401).json({
         success: false,
-        message: 'Invalid OTP'
+        message: verification.message
       });
     }
 
@@ -51,7 +56,7 @@ router.post('/admin-login', [
 
     // Generate JWT token
     const token = jwt.sign(
-      { userId: user._id, userType: user.userType },
+      { userId: user._id, userType: user.userType, tokenVersion: user.tokenVersion },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRE || '7d' }
     );
@@ -132,7 +137,7 @@ router.post('/login', [
 
     // Generate JWT token
     const token = jwt.sign(
-      { userId: user._id, userType: user.userType },
+      { userId: user._id, userType: user.userType, tokenVersion: user.tokenVersion },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRE || '7d' }
     );
@@ -194,12 +199,24 @@ router.post('/send-otp', [
       });
     }
 
-    // Generate and save OTP
-    const otp = user.generateOTP();
-    await user.save();
+    // Generate and save OTP if the cooldown and daily cap allow
+    const previousSentAt = user.otpDelivery && user.otpDelivery.lastSentAt;
+    const sendStatus = await user.issueOTP();
+    if (!sendStatus.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: sendStatus.message,
+        data: { retryAfter: sendStatus.retryAfter }
+      });
+    }
 
-    // TODO: Send OTP via SMS (using Twilio)
-    console.log(`OTP for ${cleanedPhone}: ${otp}`); // For development
+    try {
+      await getOtpProvider().send(cleanedPhone, sendStatus.otp);
+    } catch (error) {
+      // An undelivered OTP does not count against the quota
+      await user.releaseOTP(sendStatus.sentAt, previousSentAt);
+      throw error;
+    }
 
     res.json({
       success: true,
@@ -270,7 +287,7 @@ router.post('/verify-otp', [
 
     // Generate JWT token
     const token = jwt.sign(
-      { userId: user._id, userType: user.userType },
+      { userId: user._id, userType: user.userType, tokenVersion: user.tokenVersion },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRE || '7d' }
     );
@@ -373,6 +390,11 @@ router.post('/register', [
       ...additionalFields
     };
 
+    // Registration city seeds the worker's home location
+    if (userType === 'worker' && (city || pincode)) {
+      mappedData.location = { city, pincode };
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ phoneNumber: cleanedPhone }, { email }]
@@ -390,11 +412,13 @@ router.post('/register', [
     await user.save();
 
     // Generate OTP for phone verification
-    const otp = user.generateOTP();
-    await user.save();
+    const { otp } = await user.issueOTP();
+    await getOtpProvider().send(cleanedPhone, otp);
 
-    // TODO: Send OTP via SMS
-    console.log(`Registration OTP for ${cleanedPhone}: ${otp}`); // For development
+    // Send email verification link
+    const emailToken = user.generateEmailVerificationToken();
+    await user.save();
+    sendVerificationEmail(user, emailToken);
 
     res.status(201).json({
       success: true,
@@ -417,6 +441,77 @@ router.post('/register', [
   }
 });
 
+// Resend email verification link
+router.post('/send-verification-email', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = user.generateEmailVerificationToken();
+    await user.save();
+    sendVerificationEmail(user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// Verify email address
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerification = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/me', auth, async (req, res) => {
   try {
@@ -430,6 +525,7 @@ router.get('/me', auth, async (req, res) => {
           email: req.user.email,
           userType: req.user.userType,
           isVerified: req.user.isVerified,
+          isEmailVerified: req.user.isEmailVerified,
           rating: req.user.rating,
           profileImage: req.user.profileImage
         }
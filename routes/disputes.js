@@ -0,0 +1,432 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { body, validationResult } from 'express-validator';
+import Dispute from '../models/Dispute.js';
+import Gig from '../models/Gig.js';
+import Notification from '../models/Notification.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { createUpload } from '../middleware/upload.js';
+import { openDispute, resolveDispute, getAdjustableAmount } from '../services/disputes.js';
+const router = express.Router();
+
+// Kept outside the public uploads folder; files are served only through the
+// evidence route below
+const evidenceUpload = createUpload(process.env.DISPUTE_EVIDENCE_DIR || 'disputes');
+
+// Days after a gig ends that either party may still open a dispute
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS || '14');
+
+const ADMIN_TYPES = ['admin', 'super_admin'];
+
+const toEvidence = (files = []) => files.map(file => ({
+  filename: file.filename,
+  originalName: file.originalname,
+  path: file.path,
+  size: file.size,
+  mimeType: file.mimetype
+}));
+
+// Uploaded files are kept only when the request succeeds
+const discardUploads = (files = []) => {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
+// Load a dispute the current user is a party to, or any dispute for admins
+const loadDispute = async (req, res) => {
+  const dispute = await Dispute.findById(req.params.id);
+
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+    return null;
+  }
+
+  if (!ADMIN_TYPES.includes(req.user.userType) && !dispute.isParty(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this dispute'
+    });
+    return null;
+  }
+
+  return dispute;
+};
+
+// Open a dispute over a worker's assignment (store or worker)
+router.post('/', auth, authorize('store', 'worker'), evidenceUpload.array('evidence', 5), [
+  body('gigId')
+    .isMongoId()
+    .withMessage('Valid gig id is required'),
+  body('workerId')
+    .if((value, { req }) => req.user.userType === 'store')
+    .isMongoId()
+    .withMessage('Valid worker id is required'),
+  body('category')
+    .isIn(['hours', 'quality', 'no_show', 'payment', 'other'])
+    .withMessage('Category must be hours, quality, no_show, payment or other'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { gigId, category, description } = req.body;
+    const isStore = req.user.userType === 'store';
+    const gig = await Gig.findById(gigId);
+
+    if (!gig || (isStore && gig.store.toString() !== req.user._id.toString())) {
+      discardUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    const assignment = gig.getAssignment(isStore ? req.body.workerId : req.user._id);
+    const now = new Date();
+    const hasStarted = assignment && (
+      ['in-progress', 'pending-approval', 'completed'].includes(assignment.status) ||
+      (assignment.status === 'assigned' && gig.startTime <= now)
+    );
+
+    if (!hasStarted) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Disputes can only be opened for work that has started'
+      });
+    }
+
+    const windowEnd = new Date(gig.endTime.getTime() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (now > windowEnd) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: `Disputes must be opened within ${DISPUTE_WINDOW_DAYS} days of the gig ending`
+      });
+    }
+
+    const dispute = await openDispute(gig, assignment, {
+      raisedBy: req.user._id,
+      category,
+      description,
+      evidence: toEvidence(req.files)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened successfully',
+      data: { dispute }
+    });
+  } catch (error) {
+    discardUploads(req.files);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A dispute is already open for this assignment'
+      });
+    }
+    console.error('Open dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open dispute'
+    });
+  }
+});
+
+// Get disputes: the user's own, or all of them for admins
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (!ADMIN_TYPES.includes(req.user.userType)) {
+      filter.$or = [{ store: req.user._id }, { worker: req.user._id }];
+    }
+    if (status) filter.status = status;
+
+    const disputes = await Dispute.find(filter)
+      .select('-messages')
+      .populate('gig', 'title startTime endTime')
+      .populate('store', 'businessName')
+      .populate('worker', 'fullName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        disputes,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get disputes'
+    });
+  }
+});
+
+// Get a single dispute with its messages and evidence
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    await dispute.populate([
+      { path: 'gig', select: 'title startTime endTime hourlyRate assignments' },
+      { path: 'store', select: 'businessName' },
+      { path: 'worker', select: 'fullName' },
+      { path: 'payment', select: 'amount status onHold' },
+      { path: 'messages.sender', select: 'fullName businessName userType' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { dispute }
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispute'
+    });
+  }
+});
+
+// Add a message to an open dispute
+router.post('/:id/messages', auth, [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute is already resolved'
+      });
+    }
+
+    dispute.messages.push({ sender: req.user._id, message: req.body.message });
+    await dispute.save();
+
+    // Let everyone else in the thread know
+    const recipients = [dispute.store, dispute.worker]
+      .filter(party => party.toString() !== req.user._id.toString());
+    await Promise.all(recipients.map(recipient => Notification.create({
+      recipient,
+      sender: req.user._id,
+      type: 'dispute_message',
+      title: 'New Dispute Message',
+      message: req.body.message,
+      data: { gigId: dispute.gig, disputeId: dispute._id }
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: 'Message added successfully',
+      data: { message: dispute.messages[dispute.messages.length - 1] }
+    });
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add message'
+    });
+  }
+});
+
+// Attach more evidence to an open dispute
+router.post('/:id/evidence', auth, evidenceUpload.array('evidence', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No evidence files uploaded'
+      });
+    }
+
+    const dispute = await loadDispute(req, res);
+    if (!dispute) {
+      discardUploads(req.files);
+      return;
+    }
+
+    if (dispute.status !== 'open') {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute is already resolved'
+      });
+    }
+
+    toEvidence(req.files).forEach(file => {
+      dispute.evidence.push({ ...file, uploadedBy: req.user._id });
+    });
+    await dispute.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Evidence uploaded successfully',
+      data: { evidence: dispute.evidence }
+    });
+  } catch (error) {
+    discardUploads(req.files);
+    console.error('Upload dispute evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload evidence'
+    });
+  }
+});
+
+// View a single evidence file
+router.get('/:id/evidence/:evidenceId', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    const evidence = dispute.evidence.id(req.params.evidenceId);
+    if (!evidence || !evidence.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence not found'
+      });
+    }
+
+    const filePath = path.resolve(evidence.path);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence file not found'
+      });
+    }
+
+    res.type(evidence.mimeType || path.extname(filePath));
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('View dispute evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get evidence'
+    });
+  }
+});
+
+// Resolve a dispute: release, adjust or refund the payout (admin only)
+router.put('/:id/resolve', auth, authorize('admin', 'super_admin'), [
+  body('outcome')
+    .isIn(['release', 'adjust', 'refund'])
+    .withMessage('Outcome must be release, adjust or refund'),
+  body('amount')
+    .if(body('outcome').equals('adjust'))
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be zero or more')
+    .bail()
+    .custom(async (value, { req }) => {
+      const dispute = await Dispute.findById(req.params.id);
+      // A missing dispute is reported as 404 below
+      if (!dispute) return;
+
+      const max = await getAdjustableAmount(dispute);
+      if (parseFloat(value) > max) {
+        throw new Error(`Amount must not exceed the ${max} payable`);
+      }
+    }),
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Resolution note is required and must not exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute is already resolved'
+      });
+    }
+
+    const { outcome, note } = req.body;
+    const result = await resolveDispute(dispute, {
+      outcome,
+      amount: outcome === 'adjust' ? parseFloat(req.body.amount) : undefined,
+      note
+    }, req.user._id);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: { dispute: result.dispute, payment: result.payment }
+    });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve dispute'
+    });
+  }
+});
+
+export default router;
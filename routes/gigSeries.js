@@ -0,0 +1,201 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Gig from '../models/Gig.js';
+import GigSeries from '../models/GigSeries.js';
+import GigTemplate from '../models/GigTemplate.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { TIME_PATTERN, DATE_PATTERN, getLocalParts } from '../utils/availability.js';
+import { addDays } from '../utils/recurrence.js';
+import { generateOccurrences } from '../services/recurringGigs.js';
+const router = express.Router();
+
+// Longest a series may run, in days
+const MAX_SERIES_DAYS = 366;
+
+router.use(auth, authorize('store'));
+
+// Get the store's series
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { store: req.user._id };
+    if (status) filter.status = status;
+
+    const seriesList = await GigSeries.find(filter)
+      .populate('template', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await GigSeries.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        series: seriesList,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get series'
+    });
+  }
+});
+
+// Create a recurring series from a template and generate its first occurrences
+router.post('/', [
+  body('templateId')
+    .isMongoId()
+    .withMessage('Valid template id is required'),
+  body('recurrence.frequency')
+    .isIn(['daily', 'weekly'])
+    .withMessage('Frequency must be daily or weekly'),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Interval must be between 1 and 12'),
+  body('recurrence.daysOfWeek')
+    .if(body('recurrence.frequency').equals('weekly'))
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Weekly series need at least one day of the week'),
+  body('recurrence.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of the week must be 0 (Sunday) to 6 (Saturday)'),
+  body('recurrence.startDate')
+    .matches(DATE_PATTERN)
+    .withMessage('Start date must be YYYY-MM-DD'),
+  body('recurrence.until')
+    .matches(DATE_PATTERN)
+    .withMessage('Until must be YYYY-MM-DD'),
+  body('shift.startTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Shift start time must be HH:mm')
+    .not().equals('24:00')
+    .withMessage('Shift cannot start at 24:00'),
+  body('shift.endTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Shift end time must be HH:mm'),
+  body('prioritizeReturningWorkers')
+    .optional()
+    .isBoolean()
+    .withMessage('prioritizeReturningWorkers must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { templateId, recurrence, shift = {}, prioritizeReturningWorkers } = req.body;
+
+    if (recurrence.until < recurrence.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Until must not be before the start date'
+      });
+    }
+
+    if (recurrence.startDate < getLocalParts(new Date()).dateKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past'
+      });
+    }
+
+    if (recurrence.until > addDays(recurrence.startDate, MAX_SERIES_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        message: `A series can run for at most ${MAX_SERIES_DAYS} days`
+      });
+    }
+
+    const template = await GigTemplate.findOne({ _id: templateId, store: req.user._id, isActive: true });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const series = new GigSeries({
+      store: req.user._id,
+      template: template._id,
+      details: template.getGigDetails(),
+      shift: {
+        startTime: shift.startTime || template.shift.startTime,
+        endTime: shift.endTime || template.shift.endTime
+      },
+      recurrence: {
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        daysOfWeek: recurrence.frequency === 'weekly' ? [...new Set(recurrence.daysOfWeek.map(Number))] : [],
+        startDate: recurrence.startDate,
+        until: recurrence.until
+      },
+      prioritizeReturningWorkers
+    });
+    await series.save();
+
+    const occurrences = await generateOccurrences(series);
+
+    res.status(201).json({
+      success: true,
+      message: `Series created with ${occurrences.length} upcoming gig(s)`,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create series'
+    });
+  }
+});
+
+// Get a series with its generated occurrences
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await GigSeries.findOne({ _id: req.params.id, store: req.user._id })
+      .populate('template', 'name');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const occurrences = await Gig.find({ series: series._id })
+      .select('title occurrenceDate startTime endTime status headcount assignments.worker assignments.status priorityUntil')
+      .sort({ startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    console.error('Get series detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get series'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,316 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Gig from '../models/Gig.js';
+import GigTemplate from '../models/GigTemplate.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { geocodePincode } from '../services/geocoder.js';
+import { TIME_PATTERN, DATE_PATTERN } from '../utils/availability.js';
+import { getShiftTimes } from '../utils/recurrence.js';
+const router = express.Router();
+
+// Validation for template fields; everything is optional on update
+const templateValidation = (isUpdate) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    field('title')
+      .trim()
+      .isLength({ min: 5, max: 100 })
+      .withMessage('Title must be between 5 and 100 characters'),
+    field('description')
+      .isLength({ min: 20, max: 1000 })
+      .withMessage('Description must be between 20 and 1000 characters'),
+    field('category')
+      .isIn(['retail', 'delivery', 'warehouse', 'customer-service', 'other'])
+      .withMessage('Invalid category'),
+    field('location.address')
+      .notEmpty()
+      .withMessage('Address is required'),
+    field('location.city')
+      .notEmpty()
+      .withMessage('City is required'),
+    field('location.state')
+      .notEmpty()
+      .withMessage('State is required'),
+    field('location.pincode')
+      .notEmpty()
+      .withMessage('Pincode is required'),
+    field('hourlyRate')
+      .isFloat({ min: 50 })
+      .withMessage('Hourly rate must be at least 50'),
+    field('shift.startTime')
+      .matches(TIME_PATTERN)
+      .withMessage('Shift start time must be HH:mm')
+      .not().equals('24:00')
+      .withMessage('Shift cannot start at 24:00'),
+    field('shift.endTime')
+      .matches(TIME_PATTERN)
+      .withMessage('Shift end time must be HH:mm'),
+    body('headcount')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Headcount must be between 1 and 50'),
+    body('maxApplications')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max applications must be at least 1'),
+    body('isUrgent')
+      .optional()
+      .isBoolean()
+      .withMessage('isUrgent must be a boolean'),
+    body('requirements')
+      .optional()
+      .isArray()
+      .withMessage('Requirements must be an array'),
+    body('skills')
+      .optional()
+      .isArray()
+      .withMessage('Skills must be an array')
+  ];
+};
+
+const TEMPLATE_FIELDS = [
+  'name', 'title', 'description', 'category', 'hourlyRate', 'headcount',
+  'requirements', 'skills', 'isUrgent', 'maxApplications'
+];
+
+// Load one of the current store's templates
+const loadTemplate = async (req, res) => {
+  const template = await GigTemplate.findOne({ _id: req.params.id, store: req.user._id });
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+router.use(auth, authorize('store'));
+
+// Get the store's templates
+router.get('/', async (req, res) => {
+  try {
+    const filter = { store: req.user._id };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const templates = await GigTemplate.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get templates'
+    });
+  }
+});
+
+// Create a template
+router.post('/', templateValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = new GigTemplate({ store: req.user._id, shift: req.body.shift, location: req.body.location });
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    // Geocode once so every gig posted from the template has coordinates
+    const { coordinates } = template.location;
+    if (!coordinates || coordinates.lat === undefined || coordinates.lng === undefined) {
+      const geocoded = await geocodePincode(template.location.pincode);
+      if (geocoded) template.location.coordinates = geocoded;
+    }
+
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create template'
+    });
+  }
+});
+
+// Get a template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get template'
+    });
+  }
+});
+
+// Update a template. Existing gigs and series keep their own copy.
+router.put('/:id', [
+  ...templateValidation(true),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    [...TEMPLATE_FIELDS, 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    if (req.body.shift) {
+      ['startTime', 'endTime'].forEach(field => {
+        if (req.body.shift[field] !== undefined) template.set(`shift.${field}`, req.body.shift[field]);
+      });
+    }
+
+    if (req.body.location) {
+      ['address', 'city', 'state', 'pincode', 'coordinates'].forEach(field => {
+        if (req.body.location[field] !== undefined) template.set(`location.${field}`, req.body.location[field]);
+      });
+
+      if (req.body.location.pincode !== undefined && req.body.location.coordinates === undefined) {
+        const geocoded = await geocodePincode(template.location.pincode);
+        template.set('location.coordinates', geocoded || undefined);
+      }
+    }
+
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template'
+    });
+  }
+});
+
+// Archive a template; series created from it keep running
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    template.isActive = false;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template archived successfully'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive template'
+    });
+  }
+});
+
+// Post a single gig from a template on a local date
+router.post('/:id/gigs', [
+  body('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    if (!template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template is archived'
+      });
+    }
+
+    const { startTime, endTime } = getShiftTimes(template.shift, req.body.date);
+    if (startTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The shift on that date has already started'
+      });
+    }
+
+    const gig = new Gig({
+      ...template.getGigDetails(),
+      store: req.user._id,
+      startTime,
+      endTime,
+      duration: (endTime - startTime) / (1000 * 60 * 60)
+    });
+    gig.calculateTotalAmount();
+    await gig.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Gig created successfully',
+      data: { gig }
+    });
+  } catch (error) {
+    console.error('Create gig from template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create gig'
+    });
+  }
+});
+
+export default router;
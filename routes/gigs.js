@@ -1,11 +1,39 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Gig from '../models/Gig.js';
+import GigSeries from '../models/GigSeries.js';
+import Dispute from '../models/Dispute.js';
+import { gigDetailsFields } from '../models/GigTemplate.js';
 import Payment from '../models/Payment.js';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
 import { auth, authorize } from '../middleware/auth.js';
+import { queueEmail } from '../services/emailService.js';
+import { evaluateStoreCancellation, evaluateWorkerCancellation } from '../utils/cancellationPolicy.js';
+import { geocodePincode } from '../services/geocoder.js';
+import { buildFacetFilters, mergeFacetFilters, buildFacetPipelines, formatFacets } from '../utils/gigFacets.js';
+import { checkAvailability, getLocalParts } from '../utils/availability.js';
+import { getShiftTimes } from '../utils/recurrence.js';
+import { createCheckInSecret, getCheckInCode, evaluateCheckIn } from '../utils/checkIn.js';
+import { submitTimesheet, approveTimesheet, checkTimesheet } from '../services/timesheets.js';
+import { openDispute } from '../services/disputes.js';
+import { DEFAULT_PAYMENT_METHOD } from '../services/payments.js';
+import { scoreGig, candidatePrefilter } from '../utils/recommendations.js';
 const router = express.Router();
 
+// Fields a store may set on a new gig and edit while it is open
+const EDITABLE_FIELDS = [
+  'title', 'description', 'category', 'startTime', 'endTime', 'hourlyRate',
+  'requirements', 'skills', 'isUrgent', 'maxApplications', 'headcount', 'requireCheckInCode'
+];
+const EDITABLE_LOCATION_FIELDS = ['address', 'city', 'state', 'pincode', 'coordinates'];
+
+// Copy only the listed fields that are present in source
+const pickFields = (source = {}, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
 // Create new gig (store only)
 router.post('/', auth, authorize('store'), [
   body('title')
@@ -44,7 +72,15 @@ router.post('/', auth, authorize('store'), [
     .isNumeric()
     .withMessage('Hourly rate must be a number')
     .isFloat({ min: 50 })
-    .withMessage('Hourly rate must be at least 50')
+    .withMessage('Hourly rate must be at least 50'),
+  body('headcount')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Headcount must be between 1 and 50'),
+  body('requireCheckInCode')
+    .optional()
+    .isBoolean()
+    .withMessage('requireCheckInCode must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -57,11 +93,19 @@ router.post('/', auth, authorize('store'), [
     }
 
     const gigData = {
-      ...req.body,
+      ...pickFields(req.body, EDITABLE_FIELDS),
+      location: pickFields(req.body.location, EDITABLE_LOCATION_FIELDS),
       store: req.user._id,
       duration: (new Date(req.body.endTime) - new Date(req.body.startTime)) / (1000 * 60 * 60) // Convert to hours
     };
 
+    // Geocode from pincode when the client did not send coordinates
+    const { coordinates } = gigData.location;
+    if (!coordinates || coordinates.lat === undefined || coordinates.lng === undefined) {
+      const geocoded = await geocodePincode(gigData.location.pincode);
+      if (geocoded) gigData.location.coordinates = geocoded;
+    }
+
     const gig = new Gig(gigData);
     await gig.save();
 
@@ -83,40 +127,171 @@ router.post('/', auth, authorize('store'), [
   }
 });
 
+const MAX_SEARCH_RADIUS_KM = 100;
+
+// Check a worker's published availability and other assignments for a gig
+const checkWorkerSchedule = async (worker, gig) => {
+  const availability = checkAvailability(worker.availability, gig.startTime, gig.endTime);
+  if (!availability.available) {
+    return availability;
+  }
+
+  const [overlapping] = await Gig.findOverlappingAssignments(worker._id, gig.startTime, gig.endTime, gig._id);
+  if (overlapping) {
+    return {
+      available: false,
+      message: `Conflicts with another gig: ${overlapping.title}`
+    };
+  }
+
+  return { available: true };
+};
+
 // Get all gigs with filters
 router.get('/', async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      category,
-      city,
+      q,
       status = 'open',
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortBy,
+      sortOrder = 'desc',
+      lat,
+      lng,
+      radius = 10
     } = req.query;
 
     const skip = (page - 1) * limit;
-    const filter = { status };
+    const baseFilter = { status };
+    if (q) baseFilter.$text = { $search: q };
+
+    // category, city, payBand and date are facets: filters with counts
+    const facetFilters = buildFacetFilters(req.query);
+    if (!facetFilters) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payBand or date filter'
+      });
+    }
+    const selectedFilter = mergeFacetFilters(facetFilters);
+    const facetPipelines = buildFacetPipelines(facetFilters);
 
-    if (category) filter.category = category;
-    if (city) filter['location.city'] = city;
+    // Radius search: nearest first, with distance (km) on each gig
+    if (lat !== undefined || lng !== undefined) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+      const radiusKm = parseFloat(radius);
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+      if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid lat and lng are required for location search'
+        });
+      }
 
-    const gigs = await Gig.find(filter)
+      if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_SEARCH_RADIUS_KM) {
+        return res.status(400).json({
+          success: false,
+          message: `Radius must be between 0 and ${MAX_SEARCH_RADIUS_KM} km`
+        });
+      }
+
+      // MongoDB cannot combine $text with $geoNear
+      if (q) {
+        return res.status(400).json({
+          success: false,
+          message: 'Keyword search cannot be combined with location search'
+        });
+      }
+
+      const [result] = await Gig.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            key: 'location.geo',
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            query: baseFilter,
+            spherical: true
+          }
+        },
+        {
+          $facet: {
+            gigs: [
+              { $match: selectedFilter },
+              { $skip: skip },
+              { $limit: parseInt(limit) },
+              {
+                $lookup: {
+                  from: 'users',
+                  localField: 'store',
+                  foreignField: '_id',
+                  as: 'store',
+                  pipeline: [{ $project: { fullName: 1, businessName: 1, rating: 1 } }]
+                }
+              },
+              {
+                $set: {
+                  store: { $arrayElemAt: ['$store', 0] },
+                  distance: { $round: [{ $divide: ['$distance', 1000] }, 2] }
+                }
+              }
+            ],
+            total: [{ $match: selectedFilter }, { $count: 'count' }],
+            ...facetPipelines
+          }
+        }
+      ]);
+
+      const total = result.total.length ? result.total[0].count : 0;
+
+      return res.json({
+        success: true,
+        data: {
+          gigs: result.gigs,
+          facets: formatFacets(result),
+          pagination: {
+            current: parseInt(page),
+            total: Math.ceil(total / limit),
+            count: total
+          }
+        }
+      });
+    }
+
+    const filter = { ...baseFilter, ...selectedFilter };
+
+    // Keyword searches rank by relevance unless a sort is requested
+    let query = Gig.find(filter);
+    if (q && !sortBy) {
+      query = query
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } });
+    } else {
+      const sortOptions = {};
+      sortOptions[sortBy || 'createdAt'] = sortOrder === 'desc' ? -1 : 1;
+      query = query.sort(sortOptions);
+    }
+
+    const gigs = await query
       .populate('store', 'fullName businessName rating')
-      .sort(sortOptions)
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Gig.countDocuments(filter);
+    const [total, [facets]] = await Promise.all([
+      Gig.countDocuments(filter),
+      Gig.aggregate([
+        { $match: baseFilter },
+        { $facet: facetPipelines }
+      ])
+    ]);
 
     res.json({
       success: true,
       data: {
         gigs,
+        facets: formatFacets(facets),
         pagination: {
           current: parseInt(page),
           total: Math.ceil(total / limit),
@@ -133,12 +308,114 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Reject pending applications and cancel pending invitations once every
+// slot is filled
+const closeRecruitmentIfStaffed = (gig) => {
+  if (!gig.isFullyStaffed()) return;
+
+  gig.applications.forEach(app => {
+    if (app.status === 'pending') app.status = 'rejected';
+  });
+
+  gig.invitations.forEach(invitation => {
+    if (invitation.status === 'pending') invitation.status = 'cancelled';
+  });
+};
+
+// Assign a worker to one slot of an open gig. Shared by accepted
+// applications and accepted invitations.
+const assignWorker = (gig, workerId) => {
+  gig.assignments.push({ worker: workerId });
+
+  // An invited worker may also have applied
+  gig.applications.forEach(app => {
+    if (app.status === 'pending' && app.worker.toString() === workerId.toString()) {
+      app.status = 'accepted';
+    }
+  });
+
+  closeRecruitmentIfStaffed(gig);
+  gig.refreshStatus();
+};
+
+// Hours before startTime that invitations stop being valid
+const INVITATION_EXPIRY_HOURS = parseFloat(process.env.INVITATION_EXPIRY_HOURS_BEFORE_START || '2');
+
+const MAX_RECOMMENDATION_CANDIDATES = 500;
+
+// Get personalized gig recommendations (worker only)
+router.get('/recommendations', auth, authorize('worker'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    // Worker's history: average pay and completions per store
+    const completedGigs = await Gig.find({
+      assignments: { $elemMatch: { worker: req.user._id, status: 'completed' } }
+    })
+      .select('store hourlyRate')
+      .lean();
+
+    const history = {
+      averageRate: completedGigs.length
+        ? completedGigs.reduce((sum, gig) => sum + gig.hourlyRate, 0) / completedGigs.length
+        : null,
+      completionsByStore: completedGigs.reduce((counts, gig) => {
+        const storeId = gig.store.toString();
+        counts[storeId] = (counts[storeId] || 0) + 1;
+        return counts;
+      }, {})
+    };
+
+    // Upcoming open gigs near the worker that they have not applied to or
+    // been assigned yet
+    const candidates = await Gig.find({
+      status: 'open',
+      startTime: { $gt: new Date() },
+      'applications.worker': { $ne: req.user._id },
+      'assignments.worker': { $ne: req.user._id },
+      $and: [
+        // Skip shifts still reserved for a series' returning workers
+        {
+          $or: [
+            { priorityUntil: { $exists: false } },
+            { priorityUntil: { $lte: new Date() } },
+            { priorityWorkers: req.user._id }
+          ]
+        },
+        candidatePrefilter(req.user)
+      ]
+    })
+      .select('-applications -assignments -invitations -priorityWorkers -revisions -reviews')
+      .populate('store', 'fullName businessName rating totalRatings profileImage')
+      .sort({ startTime: 1 })
+      .limit(MAX_RECOMMENDATION_CANDIDATES)
+      .lean();
+
+    const recommendations = candidates
+      .filter(gig => gig.store && checkAvailability(req.user.availability, gig.startTime, gig.endTime).available)
+      .map(gig => ({ gig, ...scoreGig(gig, req.user, history) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      data: { recommendations }
+    });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recommendations'
+    });
+  }
+});
+
 // Get gig by ID
 router.get('/:id', async (req, res) => {
   try {
     const gig = await Gig.findById(req.params.id)
       .populate('store', 'fullName businessName rating profileImage')
-      .populate('worker', 'fullName rating profileImage')
+      .populate('assignments.worker', 'fullName rating profileImage')
       .populate('applications.worker', 'fullName rating profileImage');
 
     if (!gig) {
@@ -165,13 +442,180 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Apply for gig (worker only)
-router.post('/:id/apply', auth, authorize('worker'), [
-  body('message')
+// Changes to these are announced to existing applicants
+const MATERIAL_FIELDS = ['startTime', 'endTime', 'hourlyRate', 'location'];
+
+const castGigField = (field, value) => {
+  if (['startTime', 'endTime'].includes(field)) return new Date(value);
+  if (['hourlyRate', 'maxApplications', 'headcount'].includes(field)) return Number(value);
+  return value;
+};
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+const isSameValue = (a, b) => JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b));
+
+// Apply edits to an open gig, record a revision and notify the workers
+// involved when material terms change. Returns { changes } or { error }.
+const editGig = async (gig, updates, editorId) => {
+  const changes = [];
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] === undefined) return;
+    const value = castGigField(field, updates[field]);
+    if (isSameValue(gig[field], value)) return;
+    changes.push({ field, from: toPlain(gig[field]), to: value });
+    gig[field] = value;
+  });
+
+  if (updates.location) {
+    EDITABLE_LOCATION_FIELDS.forEach(field => {
+      const value = updates.location[field];
+      if (value === undefined) return;
+      const path = `location.${field}`;
+      if (isSameValue(gig.get(path), value)) return;
+      changes.push({ field: path, from: toPlain(gig.get(path)), to: value });
+      gig.set(path, value);
+    });
+  }
+
+  if (changes.length === 0) {
+    return { changes };
+  }
+
+  // Re-geocode a moved gig unless the client sent new coordinates
+  const pincodeChanged = changes.some(change => change.field === 'location.pincode');
+  const coordinatesChanged = changes.some(change => change.field === 'location.coordinates');
+  if (pincodeChanged && !coordinatesChanged) {
+    const geocoded = await geocodePincode(gig.location.pincode);
+    gig.set('location.coordinates', geocoded || undefined);
+  }
+
+  if (gig.endTime <= gig.startTime) {
+    return { error: 'End time must be after start time' };
+  }
+
+  if (gig.headcount < gig.getActiveAssignments().length) {
+    return { error: 'Headcount cannot be lower than the number of assigned workers' };
+  }
+
+  // Assigned workers must still be free at the new time
+  const timeChanged = changes.some(change => ['startTime', 'endTime'].includes(change.field));
+  if (timeChanged) {
+    const workerIds = gig.getActiveAssignments().map(assignment => assignment.worker);
+    const workers = await User.find({ _id: { $in: workerIds } }).select('fullName availability');
+    for (const worker of workers) {
+      const schedule = await checkWorkerSchedule(worker, gig);
+      if (!schedule.available) {
+        return { error: `${worker.fullName} is not available at the new time: ${schedule.message}` };
+      }
+    }
+  }
+
+  // Lowering headcount to the assigned count fills the gig
+  closeRecruitmentIfStaffed(gig);
+  gig.refreshStatus();
+
+  // Pre-save hook recomputes totalAmount when duration or rate changes
+  gig.duration = (gig.endTime - gig.startTime) / (1000 * 60 * 60);
+
+  const isMaterial = changes.some(change => MATERIAL_FIELDS.includes(change.field.split('.')[0]));
+  gig.revisions.push({
+    editedBy: editorId,
+    changes,
+    isMaterial
+  });
+
+  await gig.save();
+
+  if (isMaterial) {
+    const recipients = [
+      ...gig.applications.filter(app => app.status === 'pending').map(app => app.worker),
+      ...gig.getActiveAssignments().map(assignment => assignment.worker)
+    ];
+    await Promise.all(recipients.map(recipient => Notification.create({
+      recipient,
+      sender: editorId,
+      type: 'gig_updated',
+      title: 'Gig Updated',
+      message: `The time, pay or location of ${gig.title} has changed. Please review the updated details.`,
+      data: { gigId: gig._id }
+    })));
+  }
+
+  return { changes };
+};
+
+// Update gig (store only, while open)
+router.put('/:id', auth, authorize('store'), [
+  body('title')
     .optional()
     .trim()
-    .isLength({ max: 500 })
-    .withMessage('Message must not exceed 500 characters')
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Title must be between 5 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Description must be between 20 and 1000 characters'),
+  body('category')
+    .optional()
+    .isIn(['retail', 'delivery', 'warehouse', 'customer-service', 'other'])
+    .withMessage('Invalid category'),
+  body('location.address')
+    .optional()
+    .notEmpty()
+    .withMessage('Address cannot be empty'),
+  body('location.city')
+    .optional()
+    .notEmpty()
+    .withMessage('City cannot be empty'),
+  body('location.state')
+    .optional()
+    .notEmpty()
+    .withMessage('State cannot be empty'),
+  body('location.pincode')
+    .optional()
+    .notEmpty()
+    .withMessage('Pincode cannot be empty'),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start time is required'),
+  body('endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end time is required'),
+  body('hourlyRate')
+    .optional()
+    .isFloat({ min: 50 })
+    .withMessage('Hourly rate must be at least 50'),
+  body('maxApplications')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max applications must be at least 1'),
+  body('headcount')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Headcount must be between 1 and 50'),
+  body('requireCheckInCode')
+    .optional()
+    .isBoolean()
+    .withMessage('requireCheckInCode must be a boolean'),
+  body('isUrgent')
+    .optional()
+    .isBoolean()
+    .withMessage('isUrgent must be a boolean'),
+  body('requirements')
+    .optional()
+    .isArray()
+    .withMessage('Requirements must be an array'),
+  body('skills')
+    .optional()
+    .isArray()
+    .withMessage('Skills must be an array'),
+  body('scope')
+    .optional()
+    .isIn(['occurrence', 'series'])
+    .withMessage('Scope must be occurrence or series')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -183,6 +627,7 @@ router.post('/:id/apply', auth, authorize('worker'), [
       });
     }
 
+    const { scope = 'occurrence' } = req.body;
     const gig = await Gig.findById(req.params.id);
 
     if (!gig) {
@@ -192,68 +637,109 @@ router.post('/:id/apply', auth, authorize('worker'), [
       });
     }
 
+    if (gig.store.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this gig'
+      });
+    }
+
     if (gig.status !== 'open') {
       return res.status(400).json({
         success: false,
-        message: 'Gig is not open for applications'
+        message: 'Only open gigs can be edited'
       });
     }
 
-    // Check if already applied
-    const existingApplication = gig.applications.find(
-      app => app.worker.toString() === req.user._id.toString()
-    );
+    if (scope === 'series' && !gig.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'This gig is not part of a series'
+      });
+    }
 
-    if (existingApplication) {
+    if (scope === 'series' && req.body.startTime &&
+        getLocalParts(new Date(req.body.startTime)).dateKey !== gig.occurrenceDate) {
       return res.status(400).json({
         success: false,
-        message: 'You have already applied for this gig'
+        message: 'Series edits cannot move a shift to another day'
       });
     }
 
-    if (gig.applications.length >= gig.maxApplications) {
+    const result = await editGig(gig, req.body, req.user._id);
+
+    if (result.error) {
       return res.status(400).json({
         success: false,
-        message: 'Maximum applications reached for this gig'
+        message: result.error
       });
     }
 
-    // Add application
-    gig.applications.push({
-      worker: req.user._id,
-      message: req.body.message || '',
-      status: 'pending'
-    });
+    if (result.changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes to apply'
+      });
+    }
 
-    await gig.save();
+    // Carry the edit to later open occurrences and future generated ones
+    const series = { updated: [], skipped: [] };
+    if (scope === 'series') {
+      const seriesDoc = await GigSeries.findById(gig.series);
+      const shift = {
+        startTime: getLocalParts(gig.startTime).time,
+        endTime: getLocalParts(gig.endTime).time
+      };
 
-    // Create notification for store
-    await Notification.create({
-      recipient: gig.store,
-      type: 'application_received',
-      title: 'New Application Received',
-      message: `${req.user.fullName} has applied for your gig: ${gig.title}`,
-      data: { gigId: gig._id }
-    });
+      const laterOccurrences = await Gig.find({
+        series: gig.series,
+        occurrenceDate: { $gt: gig.occurrenceDate }
+      }).sort({ occurrenceDate: 1 });
+
+      for (const occurrence of laterOccurrences) {
+        if (occurrence.status !== 'open') {
+          series.skipped.push({ gigId: occurrence._id, occurrenceDate: occurrence.occurrenceDate, reason: `Gig is ${occurrence.status}` });
+          continue;
+        }
+
+        const times = getShiftTimes(shift, occurrence.occurrenceDate);
+        const occurrenceResult = await editGig(occurrence, { ...req.body, ...times }, req.user._id);
+        if (occurrenceResult.error) {
+          series.skipped.push({ gigId: occurrence._id, occurrenceDate: occurrence.occurrenceDate, reason: occurrenceResult.error });
+        } else {
+          series.updated.push(occurrence._id);
+        }
+      }
+
+      const details = gig.toObject();
+      Object.keys(gigDetailsFields).forEach(field => {
+        seriesDoc.details[field] = details[field];
+      });
+      seriesDoc.shift = shift;
+      await seriesDoc.save();
+    }
 
     res.json({
       success: true,
-      message: 'Application submitted successfully'
+      message: 'Gig updated successfully',
+      data: scope === 'series' ? { gig, series } : { gig }
     });
   } catch (error) {
-    console.error('Apply gig error:', error);
+    console.error('Update gig error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to apply for gig'
+      message: 'Failed to update gig'
     });
   }
 });
 
-// Accept/Reject application (store only)
-router.put('/:id/applications/:applicationId', auth, authorize('store'), [
-  body('action')
-    .isIn(['accept', 'reject'])
-    .withMessage('Action must be either accept or reject')
+// Apply for gig (worker only)
+router.post('/:id/apply', auth, authorize('worker'), [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must not exceed 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -265,7 +751,6 @@ router.put('/:id/applications/:applicationId', auth, authorize('store'), [
       });
     }
 
-    const { action } = req.body;
     const gig = await Gig.findById(req.params.id);
 
     if (!gig) {
@@ -275,65 +760,100 @@ router.put('/:id/applications/:applicationId', auth, authorize('store'), [
       });
     }
 
-    if (gig.store.toString() !== req.user._id.toString()) {
+    if (gig.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Gig is not open for applications'
+      });
+    }
+
+    // New series occurrences are held for returning workers first
+    const isPriorityWorker = gig.priorityWorkers.some(worker => worker.equals(req.user._id));
+    if (gig.priorityUntil > new Date() && !isPriorityWorker) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to manage this gig'
+        message: `This shift is reserved for returning workers until ${gig.priorityUntil.toISOString()}`
       });
     }
 
-    const application = gig.applications.id(req.params.applicationId);
+    if (gig.getAssignment(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already assigned to this gig'
+      });
+    }
 
-    if (!application) {
-      return res.status(404).json({
+    // Check if already applied
+    const existingApplication = gig.applications.find(
+      app => app.worker.toString() === req.user._id.toString()
+    );
+
+    // A withdrawn application may be reopened by applying again
+    if (existingApplication && existingApplication.status !== 'withdrawn') {
+      return res.status(400).json({
         success: false,
-        message: 'Application not found'
+        message: 'You have already applied for this gig'
       });
     }
 
-    if (action === 'accept') {
-      // Assign worker to gig
-      gig.worker = application.worker;
-      gig.status = 'assigned';
-      gig.assignedAt = new Date();
-      application.status = 'accepted';
+    const activeApplications = gig.applications.filter(app => app.status !== 'withdrawn');
+    if (activeApplications.length >= gig.maxApplications) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum applications reached for this gig'
+      });
+    }
 
-      // Reject all other applications
-      gig.applications.forEach(app => {
-        if (app._id.toString() !== req.params.applicationId) {
-          app.status = 'rejected';
-        }
+    const schedule = await checkWorkerSchedule(req.user, gig);
+    if (!schedule.available) {
+      return res.status(409).json({
+        success: false,
+        message: schedule.message
       });
+    }
 
-      // Create notification for worker
-      await Notification.create({
-        recipient: application.worker,
-        type: 'application_accepted',
-        title: 'Application Accepted',
-        message: `Your application for ${gig.title} has been accepted!`,
-        data: { gigId: gig._id }
+    // Add application, or reopen the withdrawn one
+    if (existingApplication) {
+      Object.assign(existingApplication, {
+        message: req.body.message || '',
+        status: 'pending',
+        appliedAt: new Date(),
+        withdrawnAt: undefined
       });
     } else {
-      application.status = 'rejected';
+      gig.applications.push({
+        worker: req.user._id,
+        message: req.body.message || '',
+        status: 'pending'
+      });
     }
 
     await gig.save();
 
+    // Create notification for store
+    await Notification.create({
+      recipient: gig.store,
+      type: 'application_received',
+      title: 'New Application Received',
+      message: `${req.user.fullName} has applied for your gig: ${gig.title}`,
+      data: { gigId: gig._id }
+    });
+
     res.json({
       success: true,
-      message: `Application ${action}ed successfully`
+      message: 'Application submitted successfully'
     });
   } catch (error) {
-    console.error('Manage application error:', error);
+    console.error('Apply gig error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to manage application'
+      message: 'Failed to apply for gig'
     });
   }
 });
 
-// Start gig (worker only)
-router.put('/:id/start', auth, authorize('worker'), async (req, res) => {
+// Withdraw a pending application (worker only)
+router.put('/:id/withdraw', auth, authorize('worker'), async (req, res) => {
   try {
     const gig = await Gig.findById(req.params.id);
 
@@ -344,40 +864,860 @@ router.put('/:id/start', auth, authorize('worker'), async (req, res) => {
       });
     }
 
-    if (gig.worker.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to start this gig'
+    const application = gig.applications.find(
+      app => app.worker.toString() === req.user._id.toString()
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending applications can be withdrawn'
+      });
+    }
+
+    application.status = 'withdrawn';
+    application.withdrawnAt = new Date();
+    await gig.save();
+
+    await Notification.create({
+      recipient: gig.store,
+      sender: req.user._id,
+      type: 'application_withdrawn',
+      title: 'Application Withdrawn',
+      message: `${req.user.fullName} has withdrawn their application for ${gig.title}`,
+      data: { gigId: gig._id, applicationId: application._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn successfully'
+    });
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw application'
+    });
+  }
+});
+
+// Accept/Reject application (store only)
+router.put('/:id/applications/:applicationId', auth, authorize('store'), [
+  body('action')
+    .isIn(['accept', 'reject'])
+    .withMessage('Action must be either accept or reject')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { action } = req.body;
+    const gig = await Gig.findById(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    if (gig.store.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this gig'
+      });
+    }
+
+    const application = gig.applications.id(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (['withdrawn', 'cancelled'].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Application has been ${application.status}`
+      });
+    }
+
+    if (action === 'accept') {
+      const worker = await User.findById(application.worker).select('fullName email availability');
+
+      if (!worker) {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker not found'
+        });
+      }
+
+      const schedule = await checkWorkerSchedule(worker, gig);
+      if (!schedule.available) {
+        return res.status(409).json({
+          success: false,
+          message: `Worker is not available: ${schedule.message}`
+        });
+      }
+
+      if (gig.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: 'Gig is no longer open'
+        });
+      }
+
+      if (gig.getAssignment(application.worker)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Worker is already assigned to this gig'
+        });
+      }
+
+      application.status = 'accepted';
+      assignWorker(gig, application.worker);
+      await gig.save();
+
+      // Create notification for worker
+      await Notification.create({
+        recipient: application.worker,
+        type: 'application_accepted',
+        title: 'Application Accepted',
+        message: `Your application for ${gig.title} has been accepted!`,
+        data: { gigId: gig._id }
+      });
+
+      queueEmail(worker.email, 'applicationAccepted', {
+        fullName: worker.fullName,
+        gigTitle: gig.title,
+        startTime: gig.startTime
+      });
+    } else {
+      application.status = 'rejected';
+      await gig.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Application ${action}ed successfully`
+    });
+  } catch (error) {
+    console.error('Manage application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to manage application'
+    });
+  }
+});
+
+// Invite workers to an open gig (store only)
+router.post('/:id/invitations', auth, authorize('store'), [
+  body('workerIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('workerIds must be an array of 1 to 20 workers'),
+  body('workerIds.*')
+    .isMongoId()
+    .withMessage('Invalid worker id'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const gig = await Gig.findById(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    if (gig.store.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this gig'
+      });
+    }
+
+    if (gig.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open gigs accept invitations'
+      });
+    }
+
+    const expiresAt = new Date(gig.startTime.getTime() - INVITATION_EXPIRY_HOURS * 60 * 60 * 1000);
+    if (expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'It is too close to the start time to invite workers'
+      });
+    }
+
+    const workerIds = [...new Set(req.body.workerIds)];
+    const workers = await User.find({
+      _id: { $in: workerIds },
+      userType: 'worker',
+      isActive: true
+    }).select('fullName');
+
+    const invited = [];
+    const skipped = [];
+
+    workerIds.forEach(workerId => {
+      const worker = workers.find(w => w._id.toString() === workerId);
+      const alreadyInvited = gig.invitations.some(
+        invitation => invitation.worker.toString() === workerId && invitation.status === 'pending'
+      );
+
+      if (!worker) {
+        skipped.push({ workerId, reason: 'Worker not found' });
+      } else if (gig.getAssignment(workerId)) {
+        skipped.push({ workerId, reason: 'Already assigned' });
+      } else if (alreadyInvited) {
+        skipped.push({ workerId, reason: 'Already invited' });
+      } else {
+        gig.invitations.push({
+          worker: worker._id,
+          message: req.body.message || '',
+          expiresAt
+        });
+        invited.push(gig.invitations[gig.invitations.length - 1]);
+      }
+    });
+
+    await gig.save();
+
+    await Promise.all(invited.map(invitation => Notification.create({
+      recipient: invitation.worker,
+      sender: req.user._id,
+      type: 'gig_invitation',
+      title: 'Gig Invitation',
+      message: `${req.user.businessName || req.user.fullName} invited you to ${gig.title}`,
+      data: { gigId: gig._id, invitationId: invitation._id }
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${invited.length} worker(s) invited`,
+      data: { invitations: invited, skipped }
+    });
+  } catch (error) {
+    console.error('Invite workers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite workers'
+    });
+  }
+});
+
+// Accept or decline an invitation (worker only)
+router.put('/:id/invitations/:invitationId', auth, authorize('worker'), [
+  body('action')
+    .isIn(['accept', 'decline'])
+    .withMessage('Action must be either accept or decline')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { action } = req.body;
+    const gig = await Gig.findById(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    const invitation = gig.invitations.id(req.params.invitationId);
+
+    if (!invitation || invitation.worker.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    if (invitation.expiresAt <= new Date()) {
+      invitation.status = 'expired';
+      await gig.save();
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation has expired'
+      });
+    }
+
+    invitation.respondedAt = new Date();
+
+    if (action === 'accept') {
+      if (gig.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: 'Gig is no longer open'
+        });
+      }
+
+      if (gig.getAssignment(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are already assigned to this gig'
+        });
+      }
+
+      const schedule = await checkWorkerSchedule(req.user, gig);
+      if (!schedule.available) {
+        return res.status(409).json({
+          success: false,
+          message: schedule.message
+        });
+      }
+
+      invitation.status = 'accepted';
+      assignWorker(gig, req.user._id);
+    } else {
+      invitation.status = 'declined';
+    }
+
+    await gig.save();
+
+    await Notification.create({
+      recipient: gig.store,
+      sender: req.user._id,
+      type: action === 'accept' ? 'invitation_accepted' : 'invitation_declined',
+      title: action === 'accept' ? 'Invitation Accepted' : 'Invitation Declined',
+      message: action === 'accept'
+        ? `${req.user.fullName} accepted your invitation and is assigned to ${gig.title}`
+        : `${req.user.fullName} declined your invitation to ${gig.title}`,
+      data: { gigId: gig._id, invitationId: invitation._id }
+    });
+
+    if (action === 'accept') {
+      queueEmail(req.user.email, 'applicationAccepted', {
+        fullName: req.user.fullName,
+        gigTitle: gig.title,
+        startTime: gig.startTime
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Invitation ${action}${action === 'accept' ? 'ed' : 'd'} successfully`
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to invitation'
+    });
+  }
+});
+
+// Device location and/or the store's check-in code sent with start and complete
+const checkInValidation = [
+  body('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number'),
+  body('code')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Invalid check-in code')
+];
+
+// Let the store know a worker checked in or out away from the gig
+const notifyFlaggedCheckIn = (gig, worker, record, action) => Notification.create({
+  recipient: gig.store,
+  sender: worker._id,
+  type: 'check_in_flagged',
+  title: record.flagReason === 'no_gig_location' ? 'Check-in Location Unverified' : 'Check-in Outside Gig Location',
+  message: record.flagReason === 'no_gig_location'
+    ? `${worker.fullName} ${action} at ${gig.title}, which has no coordinates to verify the location against`
+    : `${worker.fullName} ${action} ${record.distanceMeters} m away from the location of ${gig.title}`,
+  data: { gigId: gig._id }
+});
+
+// Get the current rotating check-in code to show as a QR code (store only)
+router.get('/:id/check-in-code', auth, authorize('store'), async (req, res) => {
+  try {
+    const gig = await Gig.findById(req.params.id).select('+checkInSecret');
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    if (gig.store.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this gig\'s check-in code'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(gig.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Gig is ${gig.status}`
+      });
+    }
+
+    if (!gig.checkInSecret) {
+      gig.checkInSecret = createCheckInSecret();
+      await gig.save();
+    }
+
+    res.json({
+      success: true,
+      data: getCheckInCode(gig.checkInSecret)
+    });
+  } catch (error) {
+    console.error('Get check-in code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get check-in code'
+    });
+  }
+});
+
+// Start gig (worker only)
+router.put('/:id/start', auth, authorize('worker'), checkInValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const gig = await Gig.findById(req.params.id).select('+checkInSecret');
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    const assignment = gig.getAssignment(req.user._id);
+
+    if (!assignment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to start this gig'
+      });
+    }
+
+    if (assignment.status !== 'assigned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Gig must be assigned before starting'
+      });
+    }
+
+    const checkIn = evaluateCheckIn(gig, gig.checkInSecret, req.body);
+    if (!checkIn.allowed) {
+      return res.status(checkIn.status).json({
+        success: false,
+        message: checkIn.message
+      });
+    }
+
+    assignment.checkIn = checkIn.record;
+    assignment.status = 'in-progress';
+    assignment.startedAt = checkIn.record.at;
+    gig.refreshStatus();
+    await gig.save();
+
+    if (checkIn.record.flagged) {
+      await notifyFlaggedCheckIn(gig, req.user, checkIn.record, 'checked in');
+    }
+
+    res.json({
+      success: true,
+      message: 'Gig started successfully',
+      data: { checkIn: checkIn.record }
+    });
+  } catch (error) {
+    console.error('Start gig error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start gig'
+    });
+  }
+});
+
+// Complete gig and submit actual hours for the store's approval (worker only)
+router.put('/:id/complete', auth, authorize('worker'), [
+  ...checkInValidation,
+  body('actualStartTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid actual start time is required'),
+  body('actualEndTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid actual end time is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const gig = await Gig.findById(req.params.id).select('+checkInSecret');
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    const assignment = gig.getAssignment(req.user._id);
+
+    if (!assignment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to complete this gig'
+      });
+    }
+
+    if (assignment.status !== 'in-progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Gig must be in progress to complete'
+      });
+    }
+
+    const checkOut = evaluateCheckIn(gig, gig.checkInSecret, req.body);
+    if (!checkOut.allowed) {
+      return res.status(checkOut.status).json({
+        success: false,
+        message: checkOut.message
+      });
+    }
+
+    // Actual hours default to the check-in and check-out times
+    const now = checkOut.record.at;
+    const actualStart = req.body.actualStartTime ? new Date(req.body.actualStartTime) : assignment.startedAt;
+    const actualEnd = req.body.actualEndTime ? new Date(req.body.actualEndTime) : now;
+
+    const timesheetError = checkTimesheet(gig, assignment, actualStart, actualEnd, now);
+    if (timesheetError) {
+      return res.status(400).json({
+        success: false,
+        message: timesheetError
+      });
+    }
+
+    assignment.checkOut = checkOut.record;
+    submitTimesheet(assignment, actualStart, actualEnd, now);
+    // Hours worked under an open dispute wait for its resolution
+    if (await Dispute.exists({ gig: gig._id, worker: req.user._id, status: 'open' })) {
+      assignment.timesheet.status = 'disputed';
+    }
+    gig.refreshStatus();
+    await gig.save();
+
+    if (checkOut.record.flagged) {
+      await notifyFlaggedCheckIn(gig, req.user, checkOut.record, 'checked out');
+    }
+
+    // Create notification for store
+    await Notification.create({
+      recipient: gig.store,
+      sender: req.user._id,
+      type: 'gig_completed',
+      title: 'Gig Completed',
+      message: `${req.user.fullName} has completed ${gig.title} and submitted ${assignment.timesheet.hours} hour(s) for approval`,
+      data: { gigId: gig._id }
+    });
+
+    const store = await User.findById(gig.store).select('fullName email');
+    if (store) {
+      queueEmail(store.email, 'gigCompleted', {
+        fullName: store.fullName,
+        gigTitle: gig.title,
+        workerName: req.user.fullName
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Gig completed and hours submitted for approval',
+      data: {
+        checkOut: checkOut.record,
+        timesheet: assignment.timesheet
+      }
+    });
+  } catch (error) {
+    console.error('Complete gig error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete gig'
+    });
+  }
+});
+
+// Approve, adjust or dispute a worker's submitted hours (store only)
+router.put('/:id/timesheets/:workerId', auth, authorize('store'), [
+  body('action')
+    .isIn(['approve', 'adjust', 'dispute'])
+    .withMessage('Action must be approve, adjust or dispute'),
+  body('hours')
+    .if(body('action').equals('adjust'))
+    .isFloat({ min: 0, max: 24 })
+    .withMessage('Hours must be between 0 and 24'),
+  body('reason')
+    .if(body('action').isIn(['adjust', 'dispute']))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required when adjusting or disputing hours'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { action, reason } = req.body;
+    const gig = await Gig.findById(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    if (gig.store.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this gig'
+      });
+    }
+
+    const assignment = gig.getAssignment(req.params.workerId);
+
+    if (!assignment || !assignment.timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
       });
     }
 
-    if (gig.status !== 'assigned') {
+    if (assignment.timesheet.status !== 'pending') {
       return res.status(400).json({
         success: false,
-        message: 'Gig must be assigned before starting'
+        message: `Timesheet is already ${assignment.timesheet.status}`
       });
     }
 
-    gig.status = 'in-progress';
-    gig.startedAt = new Date();
-    await gig.save();
+    // Only approval is still possible once the window has passed
+    if (action !== 'approve' && assignment.timesheet.approveBy < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The window for adjusting or disputing these hours has closed'
+      });
+    }
+
+    if (action === 'dispute') {
+      // Disputed hours go to the dispute process for an admin to resolve
+      await openDispute(gig, assignment, {
+        raisedBy: req.user._id,
+        category: 'hours',
+        description: reason
+      });
+    } else {
+      const result = await approveTimesheet(gig, assignment, {
+        hours: action === 'adjust' ? parseFloat(req.body.hours) : assignment.timesheet.hours,
+        status: action === 'adjust' ? 'adjusted' : 'approved',
+        reviewedBy: req.user._id,
+        reason
+      });
+
+      if (result.error) {
+        return res.status(409).json({
+          success: false,
+          message: result.error
+        });
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Gig started successfully'
+      message: `Timesheet ${assignment.timesheet.status} successfully`,
+      data: { timesheet: assignment.timesheet }
     });
   } catch (error) {
-    console.error('Start gig error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A dispute is already open for this worker'
+      });
+    }
+    console.error('Review timesheet error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to start gig'
+      message: 'Failed to review timesheet'
     });
   }
 });
 
-// Complete gig (worker only)
-router.put('/:id/complete', auth, authorize('worker'), async (req, res) => {
+// Cancel an open or assigned gig on the store's behalf: apply the
+// late-cancellation policy, release workers and notify everyone involved
+const cancelGigByStore = async (gig, reason, storeId) => {
+  const { isLate, payoutPerWorker, payoutAmount } = evaluateStoreCancellation(gig);
+  const assignedWorkers = gig.getActiveAssignments().map(assignment => assignment.worker);
+  // Workers whose applications were still live; rejected or withdrawn ones are not told
+  const activeApplicants = gig.applications
+    .filter(app => ['pending', 'accepted'].includes(app.status))
+    .map(app => app.worker);
+
+  gig.status = 'cancelled';
+  gig.cancelledAt = new Date();
+  gig.cancellationReason = reason;
+  gig.cancelledBy = storeId;
+  gig.lateCancellation = isLate;
+  gig.cancellationPayout = payoutAmount;
+
+  gig.applications.forEach(app => {
+    if (app.status === 'pending') {
+      app.status = 'rejected';
+    }
+  });
+
+  gig.getActiveAssignments().forEach(assignment => {
+    assignment.status = 'cancelled';
+    assignment.cancelledAt = gig.cancelledAt;
+  });
+
+  await gig.save();
+
+  // Late cancellation compensates every assigned worker
+  if (payoutPerWorker > 0) {
+    await Promise.all(assignedWorkers.map(worker => Payment.create({
+      type: 'cancellation_fee',
+      gig: gig._id,
+      store: gig.store,
+      worker,
+      amount: payoutPerWorker,
+      paymentMethod: DEFAULT_PAYMENT_METHOD
+    })));
+  }
+
+  // Notify the assigned workers and applicants still in the running
+  const assignedIds = assignedWorkers.map(worker => worker.toString());
+  const recipients = new Set([
+    ...activeApplicants.map(worker => worker.toString()),
+    ...assignedIds
+  ]);
+
+  await Promise.all([...recipients].map(recipient => Notification.create({
+    recipient,
+    sender: storeId,
+    type: 'gig_cancelled',
+    title: 'Gig Cancelled',
+    message: assignedIds.includes(recipient) && payoutPerWorker > 0
+      ? `${gig.title} has been cancelled by the store. You will receive ₹${payoutPerWorker} as late-cancellation compensation.`
+      : `${gig.title} has been cancelled by the store: ${reason}`,
+    data: { gigId: gig._id }
+  })));
+
+  return { isLate, payoutAmount };
+};
+
+// Cancel gig (store only)
+router.put('/:id/cancel', auth, authorize('store'), [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  body('scope')
+    .optional()
+    .isIn(['occurrence', 'series'])
+    .withMessage('Scope must be occurrence or series')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { scope = 'occurrence' } = req.body;
     const gig = await Gig.findById(req.params.id);
 
     if (!gig) {
@@ -387,51 +1727,295 @@ router.put('/:id/complete', auth, authorize('worker'), async (req, res) => {
       });
     }
 
-    if (gig.worker.toString() !== req.user._id.toString()) {
+    if (gig.store.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to complete this gig'
+        message: 'Not authorized to cancel this gig'
       });
     }
 
-    if (gig.status !== 'in-progress') {
+    if (!['open', 'assigned'].includes(gig.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Gig must be in progress to complete'
+        message: 'Only open or assigned gigs can be cancelled'
       });
     }
 
-    gig.status = 'completed';
-    gig.completedAt = new Date();
-    await gig.save();
+    if (scope === 'series' && !gig.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'This gig is not part of a series'
+      });
+    }
 
-    // Create payment record
-    const payment = new Payment({
-      gig: gig._id,
-      store: gig.store,
-      worker: gig.worker,
-      amount: gig.totalAmount
+    const { isLate, payoutAmount } = await cancelGigByStore(gig, req.body.reason, req.user._id);
+
+    // Cancel the rest of the series and stop generating occurrences
+    const series = { cancelled: [] };
+    if (scope === 'series') {
+      const laterOccurrences = await Gig.find({
+        series: gig.series,
+        occurrenceDate: { $gt: gig.occurrenceDate },
+        status: { $in: ['open', 'assigned'] }
+      });
+
+      for (const occurrence of laterOccurrences) {
+        await cancelGigByStore(occurrence, req.body.reason, req.user._id);
+        series.cancelled.push(occurrence._id);
+      }
+
+      await GigSeries.updateOne(
+        { _id: gig.series },
+        { status: 'cancelled', cancelledAt: new Date() }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Gig cancelled successfully',
+      data: {
+        lateCancellation: isLate,
+        cancellationPayout: payoutAmount,
+        ...(scope === 'series' && { series })
+      }
+    });
+  } catch (error) {
+    console.error('Cancel gig error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel gig'
     });
-    await payment.save();
+  }
+});
+
+// Pull out of an assigned gig (worker only)
+router.put('/:id/worker-cancel', auth, authorize('worker'), [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const gig = await Gig.findById(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    const assignment = gig.getAssignment(req.user._id);
+
+    if (!assignment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this gig'
+      });
+    }
+
+    if (assignment.status !== 'assigned' || !['open', 'assigned'].includes(gig.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only assigned gigs can be cancelled'
+      });
+    }
+
+    const { isLate, strike } = evaluateWorkerCancellation(gig);
+
+    // Free the slot so the store can hire someone else
+    const application = gig.applications.find(
+      app => app.worker.toString() === req.user._id.toString() && app.status === 'accepted'
+    );
+    if (application) application.status = 'cancelled';
+    assignment.status = 'cancelled';
+    assignment.cancelledAt = new Date();
+    gig.assignedAt = undefined;
+    gig.refreshStatus();
+    await gig.save();
+
+    if (strike) {
+      await User.updateOne(
+        { _id: req.user._id },
+        { $push: { reliabilityStrikes: { gig: gig._id, reason: req.body.reason } } }
+      );
+    }
 
-    // Create notification for store
     await Notification.create({
       recipient: gig.store,
-      type: 'gig_completed',
-      title: 'Gig Completed',
-      message: `${req.user.fullName} has completed the gig: ${gig.title}`,
+      sender: req.user._id,
+      type: 'worker_cancelled',
+      title: 'Worker Cancelled',
+      message: `${req.user.fullName} has pulled out of ${gig.title}: ${req.body.reason}. The gig is open for applications again.`,
       data: { gigId: gig._id }
     });
 
     res.json({
       success: true,
-      message: 'Gig completed successfully'
+      message: 'You have been removed from this gig',
+      data: {
+        lateCancellation: isLate,
+        reliabilityStrike: strike
+      }
     });
   } catch (error) {
-    console.error('Complete gig error:', error);
+    console.error('Worker cancel gig error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to complete gig'
+      message: 'Failed to cancel gig'
+    });
+  }
+});
+
+// Review the other party of a completed gig (store or worker)
+router.post('/:id/reviews', auth, authorize('store', 'worker'), [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('workerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid worker id'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const gig = await Gig.findById(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    const isStore = gig.store.toString() === req.user._id.toString();
+
+    // Reviews are per assignment: the store reviews a given worker, a
+    // worker reviews the store. Stores with one completed worker may omit workerId.
+    let assignment;
+    if (isStore) {
+      const completed = gig.getActiveAssignments().filter(a => a.status === 'completed');
+      assignment = req.body.workerId
+        ? completed.find(a => a.worker.toString() === req.body.workerId)
+        : completed.length === 1 ? completed[0] : undefined;
+
+      if (!assignment && !req.body.workerId && completed.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'workerId is required for gigs with several workers'
+        });
+      }
+    } else {
+      assignment = gig.getAssignment(req.user._id);
+
+      if (!assignment) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to review this gig'
+        });
+      }
+    }
+
+    if (!assignment || assignment.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed gigs can be reviewed'
+      });
+    }
+
+    const windowMs = parseInt(process.env.REVIEW_WINDOW_DAYS || '14') * 24 * 60 * 60 * 1000;
+    if (!assignment.completedAt || Date.now() - assignment.completedAt.getTime() > windowMs) {
+      return res.status(400).json({
+        success: false,
+        message: 'The review window for this gig has closed'
+      });
+    }
+
+    const reviewee = isStore ? assignment.worker : gig.store;
+    const rating = parseInt(req.body.rating);
+    const review = {
+      reviewer: req.user._id,
+      reviewee,
+      rating,
+      comment: req.body.comment || '',
+      createdAt: new Date()
+    };
+
+    // Conditional push so concurrent requests cannot leave two reviews
+    // of the same person
+    const result = await Gig.updateOne(
+      {
+        _id: gig._id,
+        reviews: { $not: { $elemMatch: { reviewer: req.user._id, reviewee } } }
+      },
+      { $push: { reviews: review } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this gig'
+      });
+    }
+
+    // Recompute the running average in a single atomic update
+    await User.updateOne({ _id: reviewee }, [
+      {
+        $set: {
+          rating: {
+            $divide: [
+              { $add: [{ $multiply: ['$rating', '$totalRatings'] }, rating] },
+              { $add: ['$totalRatings', 1] }
+            ]
+          },
+          totalRatings: { $add: ['$totalRatings', 1] }
+        }
+      }
+    ]);
+
+    await Notification.create({
+      recipient: reviewee,
+      sender: req.user._id,
+      type: 'review_received',
+      title: 'New Review',
+      message: `${req.user.fullName} rated you ${rating}/5 for ${gig.title}`,
+      data: { gigId: gig._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: { review }
+    });
+  } catch (error) {
+    console.error('Review gig error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit review'
     });
   }
 });
@@ -446,13 +2030,13 @@ router.get('/my/gigs', auth, async (req, res) => {
     if (req.user.userType === 'store') {
       filter = { store: req.user._id };
     } else {
-      filter = { worker: req.user._id };
+      filter = { 'assignments.worker': req.user._id };
     }
 
     if (status) filter.status = status;
 
     const gigs = await Gig.find(filter)
-      .populate(req.user.userType === 'store' ? 'worker' : 'store', 'fullName rating profileImage')
+      .populate(req.user.userType === 'store' ? 'assignments.worker' : 'store', 'fullName rating profileImage')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -479,4 +2063,118 @@ router.get('/my/gigs', auth, async (req, res) => {
   }
 });
 
+// Get worker's invitations across gigs
+router.get('/my/invitations', auth, authorize('worker'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+
+    const gigs = await Gig.find({ 'invitations.worker': req.user._id })
+      .select('title category status location startTime endTime hourlyRate totalAmount store invitations')
+      .populate('store', 'fullName businessName rating profileImage')
+      .sort({ startTime: 1 })
+      .lean();
+
+    const invitations = gigs
+      .flatMap(({ invitations: gigInvitations, ...gig }) => gigInvitations
+        .filter(invitation => invitation.worker.toString() === req.user._id.toString())
+        .map(invitation => ({
+          ...invitation,
+          // Expiry is applied when read or answered
+          status: invitation.status === 'pending' && invitation.expiresAt <= now ? 'expired' : invitation.status,
+          gig
+        })))
+      .filter(invitation => !status || invitation.status === status)
+      .sort((a, b) => b.invitedAt - a.invitedAt);
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations'
+    });
+  }
+});
+
+// Get worker's applications across gigs
+router.get('/my/applications', auth, authorize('worker'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const applicationMatch = { 'applications.worker': req.user._id };
+    if (status) applicationMatch['applications.status'] = status;
+
+    const [result] = await Gig.aggregate([
+      { $match: { 'applications.worker': req.user._id } },
+      { $unwind: '$applications' },
+      { $match: applicationMatch },
+      { $sort: { 'applications.appliedAt': -1 } },
+      {
+        $facet: {
+          applications: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'store',
+                foreignField: '_id',
+                as: 'store',
+                pipeline: [{ $project: { fullName: 1, businessName: 1, rating: 1, profileImage: 1 } }]
+              }
+            },
+            {
+              $project: {
+                _id: '$applications._id',
+                status: '$applications.status',
+                message: '$applications.message',
+                appliedAt: '$applications.appliedAt',
+                withdrawnAt: '$applications.withdrawnAt',
+                gig: {
+                  _id: '$_id',
+                  title: '$title',
+                  category: '$category',
+                  status: '$status',
+                  location: { city: '$location.city', address: '$location.address' },
+                  startTime: '$startTime',
+                  endTime: '$endTime',
+                  hourlyRate: '$hourlyRate',
+                  totalAmount: '$totalAmount',
+                  store: { $arrayElemAt: ['$store', 0] }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      data: {
+        applications: result.applications,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get my applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get applications'
+    });
+  }
+});
+
 export default router;
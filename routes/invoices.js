@@ -0,0 +1,120 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import Invoice from '../models/Invoice.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { writeInvoiceFiles } from '../services/invoices.js';
+const router = express.Router();
+
+const ADMIN_TYPES = ['admin', 'super_admin'];
+
+const FORMATS = {
+  pdf: { field: 'pdfPath', type: 'application/pdf' },
+  json: { field: 'jsonPath', type: 'application/json' }
+};
+
+router.use(auth, authorize('store', 'admin', 'super_admin'));
+
+// Stores see their own invoices, admins everyone's; invoices still being
+// numbered are not issued yet
+const ownershipFilter = (user) => ({
+  number: { $exists: true },
+  ...(ADMIN_TYPES.includes(user.userType) ? {} : { store: user._id })
+});
+
+// Get invoices
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, year, month } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = ownershipFilter(req.user);
+    if (type) filter.type = type;
+    if (year) filter['period.year'] = parseInt(year);
+    if (month) filter['period.month'] = parseInt(month);
+
+    const invoices = await Invoice.find(filter)
+      .select('-lines -supplier -pdfPath -jsonPath')
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invoice.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoices'
+    });
+  }
+});
+
+// Get a single invoice
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...ownershipFilter(req.user) })
+      .select('-pdfPath -jsonPath');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice'
+    });
+  }
+});
+
+// Download an invoice as PDF or JSON
+router.get('/:id/:format(pdf|json)', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...ownershipFilter(req.user) });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const { field, type } = FORMATS[req.params.format];
+
+    // Regenerate files lost from disk, e.g. after a redeploy
+    if (!invoice[field] || !fs.existsSync(invoice[field])) {
+      await writeInvoiceFiles(invoice);
+    }
+
+    res.type(type);
+    res.download(path.resolve(invoice[field]), `${invoice.number.replace(/\//g, '-')}.${req.params.format}`);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download invoice'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,242 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Notification from '../models/Notification.js';
+import { auth, streamAuth, STREAM_TOKEN_SCOPE } from '../middleware/auth.js';
+import { subscribe, finishReplay, writeReset } from '../services/notificationStream.js';
+const router = express.Router();
+
+// Get current user's notifications
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isRead } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Filter and sort follow the { recipient, isRead, createdAt } index
+    const filter = { recipient: req.user._id };
+    if (isRead === 'true') filter.isRead = true;
+    if (isRead === 'false') filter.isRead = false;
+
+    const notifications = await Notification.find(filter)
+      .populate('sender', 'fullName profileImage')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications'
+    });
+  }
+});
+
+// Get unread notification count
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      recipient: req.user._id,
+      isRead: false
+    });
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count'
+    });
+  }
+});
+
+// Most missed notifications replayed on reconnect; beyond that the client
+// gets a 'reset' event and reloads its inbox instead
+const REPLAY_LIMIT = 100;
+
+// Stream tokens end up in URLs (and so in access logs); keep them short-lived
+const STREAM_TOKEN_EXPIRE = process.env.STREAM_TOKEN_EXPIRE || '60s';
+
+// Issue a short-lived token that can only open the notification stream
+router.post('/stream-token', auth, async (req, res) => {
+  try {
+    const token = jwt.sign(
+      { userId: req.user._id, tokenVersion: req.user.tokenVersion, scope: STREAM_TOKEN_SCOPE },
+      process.env.JWT_SECRET,
+      { expiresIn: STREAM_TOKEN_EXPIRE }
+    );
+
+    res.json({
+      success: true,
+      data: { token }
+    });
+  } catch (error) {
+    console.error('Issue stream token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue stream token'
+    });
+  }
+});
+
+// Real-time notification stream (Server-Sent Events)
+router.get('/stream', streamAuth, async (req, res) => {
+  try {
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+
+    if (lastEventId && !mongoose.Types.ObjectId.isValid(lastEventId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid last event id'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Subscribe before replaying so nothing created in between is lost; live
+    // notifications wait until the replay is written
+    const unsubscribe = subscribe(req.user._id, res, { replaying: Boolean(lastEventId) });
+    req.on('close', unsubscribe);
+
+    // Replay anything missed since the last seen notification
+    if (lastEventId) {
+      const missed = await Notification.find({
+        recipient: req.user._id,
+        _id: { $gt: lastEventId }
+      })
+        .sort({ _id: 1 })
+        .limit(REPLAY_LIMIT + 1)
+        .lean();
+
+      if (missed.length > REPLAY_LIMIT) {
+        // Too far behind to catch up event by event
+        const latest = await Notification.findOne({ recipient: req.user._id })
+          .sort({ _id: -1 })
+          .select('_id')
+          .lean();
+        writeReset(res, latest && latest._id);
+        finishReplay(res);
+      } else {
+        finishReplay(res, missed);
+      }
+    }
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open notification stream'
+      });
+    }
+    res.end();
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+});
+
+export default router;
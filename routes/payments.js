@@ -0,0 +1,268 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Payment from '../models/Payment.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { processPayment, refreshPayment, refundPayment, refreshRefund } from '../services/payments.js';
+const router = express.Router();
+
+const ADMIN_TYPES = ['admin', 'super_admin'];
+
+// Stores see what they pay, workers what they are paid, admins everything
+const ownershipFilter = (user) => {
+  if (ADMIN_TYPES.includes(user.userType)) return {};
+  return user.userType === 'store' ? { store: user._id } : { worker: user._id };
+};
+
+// Load a payment the current user may see
+const loadPayment = async (req, res) => {
+  const payment = await Payment.findOne({ _id: req.params.id, ...ownershipFilter(req.user) });
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+router.use(auth);
+
+// Get payments
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = ownershipFilter(req.user);
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const payments = await Payment.find(filter)
+      .populate('gig', 'title startTime')
+      .populate('store', 'businessName')
+      .populate('worker', 'fullName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payments'
+    });
+  }
+});
+
+// Get a single payment
+router.get('/:id', async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    await payment.populate([
+      { path: 'gig', select: 'title startTime endTime' },
+      { path: 'store', select: 'businessName' },
+      { path: 'worker', select: 'fullName' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { payment }
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payment'
+    });
+  }
+});
+
+// Charge a pending or failed payment through the payment gateway (paying store or admin)
+router.post('/:id/process', authorize('store', 'admin', 'super_admin'), [
+  body('paymentMethod')
+    .optional()
+    .isIn(['bank_transfer', 'upi', 'wallet'])
+    .withMessage('Payment method must be bank_transfer, upi or wallet')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    const result = await processPayment(payment, { paymentMethod: req.body.paymentMethod });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: result.payment.status !== 'failed',
+      message: `Payment ${result.payment.status}`,
+      data: { payment: result.payment }
+    });
+  } catch (error) {
+    console.error('Process payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process payment'
+    });
+  }
+});
+
+// Check the gateway for the outcome of a payment still processing
+router.post('/:id/refresh', authorize('store', 'admin', 'super_admin'), async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    const result = await refreshPayment(payment);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Payment ${result.payment.status}`,
+      data: { payment: result.payment }
+    });
+  } catch (error) {
+    console.error('Refresh payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh payment'
+    });
+  }
+});
+
+// Refund all or part of a completed payment (admin only). Send the same
+// Idempotency-Key header (or idempotencyKey) to retry safely.
+router.post('/:id/refunds', authorize('admin', 'super_admin'), [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  body('idempotencyKey')
+    .customSanitizer((value, { req }) => value || req.get('Idempotency-Key'))
+    .isLength({ min: 1, max: 100 })
+    .withMessage('An Idempotency-Key header or idempotencyKey is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    const { amount, reason, idempotencyKey } = req.body;
+    const result = await refundPayment(payment, {
+      amount: amount === undefined ? undefined : parseFloat(amount),
+      reason,
+      idempotencyKey
+    }, req.user._id);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    let status = 201;
+    let message = 'Refund processed successfully';
+    if (result.replayed) {
+      status = 200;
+      message = 'Refund already processed';
+    } else if (result.refund.status === 'processing') {
+      status = 202;
+      message = 'Refund is processing';
+    }
+
+    res.status(status).json({
+      success: true,
+      message,
+      data: { payment: result.payment, refund: result.refund }
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund payment'
+    });
+  }
+});
+
+// Check the gateway for the outcome of a refund still processing (admin only)
+router.post('/:id/refunds/:refundId/refresh', authorize('admin', 'super_admin'), async (req, res) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    const result = await refreshRefund(payment, req.params.refundId);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Refund ${result.refund.status}`,
+      data: { payment: result.payment, refund: result.refund }
+    });
+  } catch (error) {
+    console.error('Refresh refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh refund'
+    });
+  }
+});
+
+export default router;
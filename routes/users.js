@@ -1,44 +1,17 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
+import { body, query, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Gig from '../models/Gig.js';
+import Skill from '../models/Skill.js';
 import { auth, authorize } from '../middleware/auth.js';
+import { createUpload } from '../middleware/upload.js';
+import { escapeRegex } from '../utils/helpers.js';
+import { TIME_PATTERN, DATE_PATTERN, availabilityFilter } from '../utils/availability.js';
+import { sendVerificationEmail } from '../services/emailService.js';
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = 'uploads/documents';
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|pdf/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only JPEG, JPG, PNG and PDF files are allowed'));
-    }
-  }
-});
+const upload = createUpload('uploads/documents');
 
 // Update user profile
 router.put('/profile', auth, [
@@ -89,11 +62,24 @@ router.put('/profile', auth, [
       if (businessAddress) updateData.businessAddress = businessAddress;
     }
 
+    // A changed email address must be verified again
+    const emailChanged = updateData.email && updateData.email !== req.user.email;
+    if (emailChanged) {
+      updateData.isEmailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updateData,
       { new: true, runValidators: true }
-    ).select('-password -otp');
+    ).select('-password -otp -emailVerification');
+
+    if (emailChanged) {
+      const fullUser = await User.findById(req.user._id);
+      const token = fullUser.generateEmailVerificationToken();
+      await fullUser.save();
+      sendVerificationEmail(fullUser, token);
+    }
 
     res.json({
       success: true,
@@ -109,6 +95,242 @@ router.put('/profile', auth, [
   }
 });
 
+// Update worker profile (skills, service area, experience)
+router.put('/worker-profile', auth, authorize('worker'), [
+  body('skills')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Skills must be an array of at most 20 items'),
+  body('languages')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Languages must be an array of at most 10 items'),
+  body('languages.*')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Language cannot be empty'),
+  body('preferredCategories')
+    .optional()
+    .isArray()
+    .withMessage('Preferred categories must be an array'),
+  body('preferredCategories.*')
+    .optional()
+    .isIn(['retail', 'delivery', 'warehouse', 'customer-service', 'other'])
+    .withMessage('Invalid category'),
+  body('location.city')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('City cannot be empty'),
+  body('location.pincode')
+    .optional()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Pincode must be 6 digits'),
+  body('location.coordinates.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  body('location.coordinates.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+  body('location.coordinates')
+    .optional()
+    .custom(coordinates => coordinates.lat !== undefined && coordinates.lng !== undefined)
+    .withMessage('Coordinates need both lat and lng'),
+  body('travelRadiusKm')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Travel radius must be between 1 and 100 km'),
+  body('yearsOfExperience')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('Years of experience must be between 0 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { skills, languages, preferredCategories, location, travelRadiusKm, yearsOfExperience } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (skills) {
+      const slugs = [...new Set(skills.map(skill => String(skill).toLowerCase()))];
+      const known = await Skill.find({ slug: { $in: slugs }, isActive: true }).distinct('slug');
+      const unknown = slugs.filter(slug => !known.includes(slug));
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown skills: ${unknown.join(', ')}`
+        });
+      }
+      user.skills = slugs;
+    }
+
+    if (languages) user.languages = [...new Set(languages)];
+    if (preferredCategories) user.preferredCategories = [...new Set(preferredCategories)];
+    if (travelRadiusKm !== undefined) user.travelRadiusKm = travelRadiusKm;
+    if (yearsOfExperience !== undefined) user.yearsOfExperience = yearsOfExperience;
+
+    if (location) {
+      ['address', 'city', 'pincode'].forEach(field => {
+        if (location[field] !== undefined) user.set(`location.${field}`, location[field]);
+      });
+      if (location.coordinates) {
+        user.set('location.coordinates', {
+          lat: parseFloat(location.coordinates.lat),
+          lng: parseFloat(location.coordinates.lng)
+        });
+      }
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Worker profile updated successfully',
+      data: {
+        profile: {
+          skills: user.skills,
+          languages: user.languages,
+          preferredCategories: user.preferredCategories,
+          location: user.location,
+          travelRadiusKm: user.travelRadiusKm,
+          yearsOfExperience: user.yearsOfExperience
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update worker profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update worker profile'
+    });
+  }
+});
+
+// Get own availability (worker only)
+router.get('/availability', auth, authorize('worker'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { availability: req.user.availability || { weekly: [], blackoutDates: [] } }
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get availability'
+    });
+  }
+});
+
+// Publish weekly availability and blackout dates (worker only)
+router.put('/availability', auth, authorize('worker'), [
+  body('weekly')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Weekly availability must be an array'),
+  body('weekly.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('weekly.*.start')
+    .matches(TIME_PATTERN)
+    .withMessage('Start must be a time in HH:mm format'),
+  body('weekly.*.end')
+    .matches(TIME_PATTERN)
+    .withMessage('End must be a time in HH:mm format'),
+  body('blackoutDates')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('Blackout dates must be an array'),
+  body('blackoutDates.*')
+    .matches(DATE_PATTERN)
+    .withMessage('Blackout dates must be in YYYY-MM-DD format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { weekly, blackoutDates } = req.body;
+    const updateData = {};
+
+    if (weekly) {
+      const invalidSlot = weekly.find(slot => slot.start >= slot.end);
+      if (invalidSlot) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each availability slot must end after it starts'
+        });
+      }
+      updateData['availability.weekly'] = weekly.map(({ dayOfWeek, start, end }) => ({
+        dayOfWeek: parseInt(dayOfWeek),
+        start,
+        end
+      }));
+    }
+
+    if (blackoutDates) {
+      updateData['availability.blackoutDates'] = [...new Set(blackoutDates)].sort();
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateData,
+      { new: true, runValidators: true }
+    ).select('availability');
+
+    res.json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: { availability: user.availability }
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability'
+    });
+  }
+});
+
+// Get skill taxonomy
+router.get('/skills', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const skills = await Skill.find(filter)
+      .select('name slug category')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { skills }
+    });
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get skills'
+    });
+  }
+});
+
 // Upload documents
 router.post('/upload-documents', auth, upload.fields([
   { name: 'aadhaarDocument', maxCount: 1 },
@@ -137,8 +359,9 @@ router.post('/upload-documents', auth, upload.fields([
       }
     });
 
-    // Update user documents
+    // Update user documents; new uploads go back into the review queue
     user.documents = { ...user.documents, ...documents };
+    user.isVerified = user.hasRequiredDocumentsApproved();
     await user.save();
 
     res.json({
@@ -169,9 +392,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const { reviews: recentReviews } = await Gig.findReviewsForUser(user._id, { limit: 5 });
+
     res.json({
       success: true,
-      data: { user }
+      data: { user, recentReviews }
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -182,24 +407,203 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get reviews received by a user
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { reviews, total } = await Gig.findReviewsForUser(req.params.id, {
+      skip,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reviews'
+    });
+  }
+});
+
+// Only the city of a worker's location is shown to stores; location searches
+// add the distance instead of exposing the address or coordinates
+const WORKER_LIST_FIELDS = [
+  'fullName', 'rating', 'totalRatings', 'profileImage', 'skills', 'languages',
+  'preferredCategories', 'location.city', 'travelRadiusKm', 'yearsOfExperience'
+];
+
 // Get workers for stores
-router.get('/workers/list', auth, authorize('store'), async (req, res) => {
+router.get('/workers/list', auth, authorize('store'), [
+  query('gigId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid gig id is required')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10, skill, city } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      skill,
+      language,
+      category,
+      city,
+      minExperience,
+      lat,
+      lng,
+      gigId,
+      startTime,
+      endTime
+    } = req.query;
     const skip = (page - 1) * limit;
 
     const filter = { userType: 'worker', isActive: true };
     
     if (skill) {
-      filter.skills = { $in: [skill] };
+      // Comma-separated skills must all match
+      filter.skills = { $all: skill.split(',').map(s => s.trim().toLowerCase()) };
+    }
+
+    if (language) {
+      filter.languages = new RegExp(`^${escapeRegex(language)}$`, 'i');
+    }
+
+    if (category) {
+      filter.preferredCategories = category;
     }
     
     if (city) {
-      filter['location.city'] = city;
+      filter.$or = [{ 'location.city': city }, { city }];
+    }
+
+    if (minExperience) {
+      filter.yearsOfExperience = { $gte: parseInt(minExperience) };
+    }
+
+    // Only workers free for a gig's time (or an explicit range)
+    let window = null;
+    if (gigId) {
+      const gig = await Gig.findOne({ _id: gigId, store: req.user._id }).select('startTime endTime');
+      if (!gig) {
+        return res.status(404).json({
+          success: false,
+          message: 'Gig not found'
+        });
+      }
+      window = { start: gig.startTime, end: gig.endTime };
+    } else if (startTime && endTime) {
+      window = { start: new Date(startTime), end: new Date(endTime) };
+      if (isNaN(window.start) || isNaN(window.end) || window.end <= window.start) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid startTime and endTime are required'
+        });
+      }
+    }
+
+    if (window) {
+      const busyWorkers = await Gig.aggregate([
+        {
+          $match: {
+            status: { $ne: 'cancelled' },
+            startTime: { $lt: window.end },
+            endTime: { $gt: window.start }
+          }
+        },
+        { $unwind: '$assignments' },
+        { $match: { 'assignments.status': { $in: ['assigned', 'in-progress'] } } },
+        { $group: { _id: '$assignments.worker' } }
+      ]);
+      filter._id = { $nin: busyWorkers.map(({ _id }) => _id) };
+      filter.$and = availabilityFilter(window.start, window.end).$and;
+    }
+
+    // Workers whose travel radius covers the given point, nearest first
+    if (lat !== undefined && lng !== undefined) {
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+
+      if (isNaN(latitude) || isNaN(longitude)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid lat and lng are required for location search'
+        });
+      }
+
+      const [result] = await User.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [longitude, latitude] },
+            key: 'location.geo',
+            distanceField: 'distance',
+            maxDistance: 100 * 1000,
+            query: filter,
+            spherical: true
+          }
+        },
+        { $match: { $expr: { $lte: ['$distance', { $multiply: [{ $ifNull: ['$travelRadiusKm', 10] }, 1000] }] } } },
+        {
+          $facet: {
+            workers: [
+              { $skip: skip },
+              { $limit: parseInt(limit) },
+              {
+                $project: {
+                  ...Object.fromEntries(WORKER_LIST_FIELDS.map(field => [field, 1])),
+                  distance: { $round: [{ $divide: ['$distance', 1000] }, 2] }
+                }
+              }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const total = result.total.length ? result.total[0].count : 0;
+
+      return res.json({
+        success: true,
+        data: {
+          workers: result.workers,
+          pagination: {
+            current: parseInt(page),
+            total: Math.ceil(total / limit),
+            count: total
+          }
+        }
+      });
     }
 
     const workers = await User.find(filter)
-      .select('fullName rating totalRatings profileImage skills location')
+      .select(WORKER_LIST_FIELDS.join(' '))
       .sort({ rating: -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
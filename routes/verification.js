@@ -0,0 +1,236 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import { body, validationResult } from 'express-validator';
+import User, { DOCUMENT_TYPES, REQUIRED_DOCUMENTS } from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { auth, authorize } from '../middleware/auth.js';
+const router = express.Router();
+
+const DOCUMENT_LABELS = {
+  aadhaarDocument: 'Aadhaar card',
+  panDocument: 'PAN card',
+  gstDocument: 'GST certificate',
+  shopLicenseDocument: 'Shop license',
+  drivingLicenseDocument: 'Driving license',
+  vehicleDocument: 'Vehicle RC'
+};
+
+// Document status each review action leads to
+const REVIEW_STATUSES = { approve: 'approved', reject: 'rejected' };
+
+router.use(auth, authorize('verifier', 'admin', 'super_admin'));
+
+// Get users with documents awaiting review
+router.get('/queue', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, userType } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      $or: DOCUMENT_TYPES.map(type => ({ [`documents.${type}.status`]: 'pending' }))
+    };
+    if (userType) filter.userType = userType;
+
+    const users = await User.find(filter)
+      .select('fullName userType phoneNumber email businessName city documents isVerified createdAt')
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await User.countDocuments(filter);
+
+    const queue = users.map(user => ({
+      ...user,
+      pendingDocuments: DOCUMENT_TYPES.filter(type =>
+        user.documents && user.documents[type] && user.documents[type].status === 'pending'
+      ),
+      requiredDocuments: REQUIRED_DOCUMENTS[user.userType] || []
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        users: queue,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get verification queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get verification queue'
+    });
+  }
+});
+
+// Get a user's documents for review
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('fullName userType phoneNumber email businessName businessAddress city pincode aadhaarNumber panNumber gstNumber shopLicense licenseNumber vehicleNumber documents isVerified');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        requiredDocuments: REQUIRED_DOCUMENTS[user.userType] || []
+      }
+    });
+  } catch (error) {
+    console.error('Get verification user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user documents'
+    });
+  }
+});
+
+// View a single document file
+router.get('/users/:id/documents/:documentType', async (req, res) => {
+  try {
+    const { documentType } = req.params;
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document type'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('documents');
+    const document = user && user.documents && user.documents[documentType];
+
+    if (!document || !document.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const filePath = path.resolve(document.path);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file not found'
+      });
+    }
+
+    res.type(document.mimeType || path.extname(filePath));
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('View document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get document'
+    });
+  }
+});
+
+// Approve or reject a document
+router.put('/users/:id/documents/:documentType', [
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be either approve or reject'),
+  body('reason')
+    .if(body('action').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required when rejecting a document'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { documentType } = req.params;
+    const { action, reason } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid document type'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    const document = user && user.documents && user.documents[documentType];
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    document.status = REVIEW_STATUSES[action];
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+    document.reviewReason = reason || undefined;
+
+    const wasVerified = user.isVerified;
+    user.isVerified = user.hasRequiredDocumentsApproved();
+    await user.save();
+
+    const label = DOCUMENT_LABELS[documentType];
+    await Notification.create({
+      recipient: user._id,
+      sender: req.user._id,
+      type: action === 'approve' ? 'document_approved' : 'document_rejected',
+      title: action === 'approve' ? 'Document Approved' : 'Document Rejected',
+      message: action === 'approve'
+        ? `Your ${label} has been approved.`
+        : `Your ${label} was rejected: ${reason}. Please upload it again.`,
+      data: { documentType }
+    });
+
+    if (user.isVerified && !wasVerified) {
+      await Notification.create({
+        recipient: user._id,
+        sender: req.user._id,
+        type: 'account_verified',
+        title: 'Account Verified',
+        message: 'All your documents have been approved. Your account is now verified.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Document ${REVIEW_STATUSES[action]} successfully`,
+      data: {
+        document,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    console.error('Review document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review document'
+    });
+  }
+});
+
+export default router;
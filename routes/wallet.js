@@ -0,0 +1,237 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import LedgerTransaction, { ACCOUNTS } from '../models/LedgerTransaction.js';
+import Withdrawal from '../models/Withdrawal.js';
+import Wallet from '../models/Wallet.js';
+import { auth, authorize } from '../middleware/auth.js';
+import { MIN_WITHDRAWAL, getLedgerBalances, requestWithdrawal } from '../services/wallet.js';
+const router = express.Router();
+
+router.use(auth, authorize('worker'));
+
+// Get the worker's wallet balances and payout details
+router.get('/', async (req, res) => {
+  try {
+    const balances = await getLedgerBalances(req.user._id);
+    const wallet = await Wallet.findOne({ user: req.user._id }).select('onHold');
+    const user = await User.findById(req.user._id).select('payoutDetails');
+
+    res.json({
+      success: true,
+      data: {
+        ...balances,
+        onHold: wallet ? wallet.onHold : 0,
+        minWithdrawal: MIN_WITHDRAWAL,
+        payoutDetails: user.payoutDetails
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get wallet'
+    });
+  }
+});
+
+// Get the ledger entries on the worker's wallet
+router.get('/transactions', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      lines: { $elemMatch: { account: ACCOUNTS.WORKER_WALLET, user: req.user._id } }
+    };
+
+    const entries = await LedgerTransaction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await LedgerTransaction.countDocuments(filter);
+
+    const transactions = entries.map(entry => ({
+      _id: entry._id,
+      kind: entry.kind,
+      description: entry.description,
+      payment: entry.payment,
+      withdrawal: entry.withdrawal,
+      amount: entry.lines
+        .filter(line => line.account === ACCOUNTS.WORKER_WALLET && line.user.toString() === req.user._id.toString())
+        .reduce((sum, line) => sum + line.amount, 0),
+      createdAt: entry.createdAt
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get wallet transactions'
+    });
+  }
+});
+
+// Save the bank account and/or UPI ID withdrawals are paid to
+router.put('/payout-details', [
+  body('bankAccount.accountHolderName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Account holder name must be between 2 and 100 characters'),
+  body('bankAccount.accountNumber')
+    .optional()
+    .matches(/^\d{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
+  body('bankAccount.ifscCode')
+    .optional()
+    .toUpperCase()
+    .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+    .withMessage('Invalid IFSC code'),
+  body('bankAccount')
+    .optional()
+    .custom(account => account.accountHolderName && account.accountNumber && account.ifscCode)
+    .withMessage('Bank account needs accountHolderName, accountNumber and ifscCode'),
+  body('upiId')
+    .optional()
+    .trim()
+    .matches(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/)
+    .withMessage('Invalid UPI ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { bankAccount, upiId } = req.body;
+    const updates = {};
+    if (bankAccount) {
+      updates['payoutDetails.bankAccount'] = {
+        accountHolderName: bankAccount.accountHolderName,
+        accountNumber: bankAccount.accountNumber,
+        ifscCode: bankAccount.ifscCode
+      };
+    }
+    if (upiId !== undefined) updates['payoutDetails.upiId'] = upiId;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updates,
+      { new: true, runValidators: true }
+    ).select('payoutDetails');
+
+    res.json({
+      success: true,
+      message: 'Payout details updated successfully',
+      data: { payoutDetails: user.payoutDetails }
+    });
+  } catch (error) {
+    console.error('Update payout details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update payout details'
+    });
+  }
+});
+
+// Request a withdrawal; it is paid out by the next payout batch
+router.post('/withdrawals', [
+  body('amount')
+    .isFloat({ min: MIN_WITHDRAWAL })
+    .withMessage(`Amount must be at least ${MIN_WITHDRAWAL}`),
+  body('method')
+    .isIn(['bank_transfer', 'upi'])
+    .withMessage('Method must be bank_transfer or upi')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const worker = await User.findById(req.user._id).select('payoutDetails');
+    const result = await requestWithdrawal(worker, {
+      amount: parseFloat(req.body.amount),
+      method: req.body.method
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal requested successfully',
+      data: { withdrawal: result.withdrawal }
+    });
+  } catch (error) {
+    console.error('Request withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request withdrawal'
+    });
+  }
+});
+
+// Get the worker's withdrawals
+router.get('/withdrawals', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { worker: req.user._id };
+    if (status) filter.status = status;
+
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Withdrawal.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          count: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get withdrawals'
+    });
+  }
+});
+
+export default router;
@@ -9,6 +9,18 @@ dotenv.config();
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import gigRoutes from './routes/gigs.js';
+import notificationRoutes from './routes/notifications.js';
+import verificationRoutes from './routes/verification.js';
+import adminRoutes from './routes/admin.js';
+import gigTemplateRoutes from './routes/gigTemplates.js';
+import gigSeriesRoutes from './routes/gigSeries.js';
+import disputeRoutes from './routes/disputes.js';
+import paymentRoutes from './routes/payments.js';
+import walletRoutes from './routes/wallet.js';
+import invoiceRoutes from './routes/invoices.js';
+import Gig from './models/Gig.js';
+import User from './models/User.js';
+import { startJobs } from './jobs/index.js';
 
 const app = express();
 
@@ -37,6 +49,15 @@ app.use('/uploads', express.static('uploads'));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/gigs', gigRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/gig-templates', gigTemplateRoutes);
+app.use('/api/gig-series', gigSeriesRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/invoices', invoiceRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -62,14 +83,41 @@ app.use('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 5000;
+
+// Keys OTP hashes; deliberately separate from JWT_SECRET
+if (!process.env.OTP_SECRET) {
+  console.error('OTP_SECRET must be set');
+  process.exit(1);
+}
+
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/gigearn';
 
 mongoose.connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    const { modifiedCount } = await Gig.migrateLegacyAssignments();
+    if (modifiedCount > 0) {
+      console.log(`Migrated ${modifiedCount} gig(s) to worker assignments`);
+    }
+
+    const { modifiedCount: geoBackfilled } = await Gig.backfillGeo();
+    if (geoBackfilled > 0) {
+      console.log(`Backfilled locations of ${geoBackfilled} gig(s) for geospatial search`);
+    }
+
+    const { modifiedCount: documentsBackfilled } = await User.backfillDocumentStatus();
+    if (documentsBackfilled > 0) {
+      console.log(`Backfilled review status of ${documentsBackfilled} legacy document(s)`);
+    }
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    if (process.env.DISABLE_JOBS !== 'true') {
+      startJobs();
+    }
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
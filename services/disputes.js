@@ -0,0 +1,245 @@
+import Dispute from '../models/Dispute.js';
+import Gig from '../models/Gig.js';
+import Payment from '../models/Payment.js';
+import Notification from '../models/Notification.js';
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import { approveTimesheet } from './timesheets.js';
+import { syncGigPaymentStatus, refundPayment } from './payments.js';
+import { holdForDispute, releaseDisputeHold } from './wallet.js';
+
+// Payments still in flight can be frozen; completed ones have been credited
+// to the worker's wallet and are held there instead
+const HOLDABLE_STATUSES = ['pending', 'processing'];
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Record an 'adjust' resolution that lowered what the store pays
+const logAdjustment = (dispute, { previousAmount, amount, note }, adminId) => AdminAuditLog.create({
+  admin: adminId,
+  targetUser: dispute.store,
+  action: 'adjust_payment',
+  reason: note,
+  details: { dispute: dispute._id, previousAmount, amount, worker: dispute.worker }
+});
+
+// Most an 'adjust' resolution may set the payout to: what is still owed on
+// the payment, or the submitted hours at the gig's rate before approval
+export const getAdjustableAmount = async (dispute) => {
+  const gig = await Gig.findById(dispute.gig);
+  const assignment = gig && gig.getAssignment(dispute.worker);
+  const paymentId = dispute.payment || (assignment && assignment.payment);
+
+  if (paymentId) {
+    const payment = await Payment.findById(paymentId);
+    return payment ? roundTo2(payment.amount - payment.refundedAmount) : 0;
+  }
+  if (assignment && assignment.timesheet && assignment.timesheet.hours) {
+    return roundTo2(assignment.timesheet.hours * gig.hourlyRate);
+  }
+  return 0;
+};
+
+// Open a dispute over a worker's assignment and freeze the related payout.
+// Throws a duplicate key error (11000) if one is already open.
+export const openDispute = async (gig, assignment, { raisedBy, category, description, evidence = [] }) => {
+  const dispute = new Dispute({
+    gig: gig._id,
+    store: gig.store,
+    worker: assignment.worker,
+    payment: assignment.payment,
+    raisedBy,
+    category,
+    description,
+    evidence: evidence.map(file => ({ ...file, uploadedBy: raisedBy }))
+  });
+  await dispute.save();
+
+  // Hold back approval (and auto-approval) of submitted hours
+  if (assignment.timesheet && assignment.timesheet.status === 'pending') {
+    Object.assign(assignment.timesheet, {
+      status: 'disputed',
+      reason: description,
+      reviewedBy: raisedBy,
+      reviewedAt: new Date()
+    });
+    await gig.save();
+  }
+
+  if (assignment.payment) {
+    const frozen = await Payment.updateOne(
+      { _id: assignment.payment, status: { $in: HOLDABLE_STATUSES } },
+      { onHold: true, dispute: dispute._id }
+    );
+
+    if (frozen.matchedCount === 0) {
+      const payment = await Payment.findOne({ _id: assignment.payment, status: 'completed' });
+      if (payment) {
+        await holdForDispute(dispute, payment);
+      }
+    }
+  }
+
+  const otherParty = raisedBy.toString() === gig.store.toString() ? assignment.worker : gig.store;
+  await Notification.create({
+    recipient: otherParty,
+    sender: raisedBy,
+    type: 'dispute_opened',
+    title: 'Dispute Opened',
+    message: `A dispute was opened about ${gig.title}: ${description}`,
+    data: { gigId: gig._id, disputeId: dispute._id }
+  });
+
+  return dispute;
+};
+
+// Settle the payout an admin's resolution decides on. Returns { payment }
+// or { error } when the outcome cannot be applied.
+const settlePayout = async (dispute, { outcome, amount, note }, adminId) => {
+  const gig = await Gig.findById(dispute.gig);
+  const assignment = gig && gig.getAssignment(dispute.worker);
+  const paymentId = dispute.payment || (assignment && assignment.payment);
+
+  // Hours still awaiting approval: the resolution approves them
+  if (!paymentId && assignment && assignment.status === 'pending-approval') {
+    const options = { reviewedBy: adminId, reason: note, fromStatuses: ['pending', 'disputed'] };
+    const submitted = roundTo2(assignment.timesheet.hours * gig.hourlyRate);
+    if (outcome === 'adjust' && amount > submitted) {
+      return { error: `Adjusted amount must not exceed the ${submitted} submitted` };
+    }
+
+    if (outcome === 'release') {
+      Object.assign(options, { hours: assignment.timesheet.hours, status: 'approved' });
+    } else {
+      const payable = outcome === 'refund' ? 0 : amount;
+      Object.assign(options, {
+        hours: Math.round((payable / gig.hourlyRate) * 100) / 100,
+        amount: payable,
+        status: 'adjusted'
+      });
+    }
+
+    const result = await approveTimesheet(gig, assignment, options);
+    if (!result.error && outcome === 'adjust') {
+      await logAdjustment(dispute, { previousAmount: submitted, amount, note }, adminId);
+    }
+    return result;
+  }
+
+  if (!paymentId) {
+    if (outcome === 'adjust') {
+      return { error: 'There is no payout to adjust' };
+    }
+    return { payment: null };
+  }
+
+  const payment = await Payment.findById(paymentId);
+
+  // Money already collected goes back to the store as a refund
+  if (outcome !== 'release' && payment.status === 'completed') {
+    const remaining = payment.amount - payment.refundedAmount;
+    const refundAmount = outcome === 'refund' ? remaining : remaining - amount;
+    if (refundAmount <= 0) {
+      return { error: `Adjusted amount must be less than the ${remaining} paid` };
+    }
+
+    const result = await refundPayment(payment, {
+      amount: refundAmount,
+      reason: note,
+      idempotencyKey: `dispute:${dispute._id}`
+    }, adminId);
+    if (result.error) return { error: result.error };
+    return { payment: result.payment };
+  }
+
+  if (outcome !== 'release' && payment.status !== 'pending') {
+    return { error: `Payment is already ${payment.status} and cannot be changed` };
+  }
+
+  const previousAmount = payment.amount;
+  if (outcome === 'adjust' && amount > previousAmount) {
+    return { error: `Adjusted amount must not exceed the ${previousAmount} payable` };
+  }
+
+  payment.onHold = false;
+  if (outcome === 'adjust') {
+    payment.amount = amount;
+  } else if (outcome === 'refund') {
+    // Never charged, so there is nothing to refund: void it instead
+    payment.status = 'cancelled';
+    payment.cancelledAt = new Date();
+    payment.cancellationReason = note;
+  }
+  await payment.save();
+  await syncGigPaymentStatus(payment);
+
+  if (outcome === 'adjust') {
+    await logAdjustment(dispute, { previousAmount, amount, note }, adminId);
+  } else if (outcome === 'refund') {
+    await AdminAuditLog.create({
+      admin: adminId,
+      targetUser: payment.store,
+      action: 'void_payment',
+      reason: note,
+      details: { payment: payment._id, dispute: dispute._id, amount: payment.amount, worker: payment.worker }
+    });
+  }
+
+  return { payment };
+};
+
+// Resolve an open dispute: release, adjust or refund the payout and let
+// both parties know. Returns { dispute, payment } or { error, status }.
+export const resolveDispute = async ({ _id }, { outcome, amount, note }, adminId) => {
+  // Claim the dispute so concurrent resolutions cannot both settle the payout
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id, status: 'open' },
+    { status: 'resolving' },
+    { new: true }
+  );
+  if (!dispute) {
+    return { error: 'Dispute is already resolved', status: 409 };
+  }
+
+  const reopen = () => Dispute.updateOne({ _id: dispute._id, status: 'resolving' }, { status: 'open' });
+
+  let result;
+  try {
+    result = await settlePayout(dispute, { outcome, amount, note }, adminId);
+  } catch (error) {
+    await reopen();
+    throw error;
+  }
+  if (result.error) {
+    await reopen();
+    return { ...result, status: 400 };
+  }
+
+  // Any refund has been clawed back by now; the rest is the worker's to withdraw
+  await releaseDisputeHold(dispute);
+
+  dispute.status = 'resolved';
+  dispute.payment = result.payment ? result.payment._id : dispute.payment;
+  dispute.resolution = {
+    outcome,
+    // What the store ends up paying for the assignment
+    amount: result.payment && result.payment.status !== 'cancelled'
+      ? result.payment.amount - result.payment.refundedAmount
+      : 0,
+    note,
+    resolvedBy: adminId,
+    resolvedAt: new Date()
+  };
+  await dispute.save();
+
+  const gig = await Gig.findById(dispute.gig).select('title');
+  await Promise.all([dispute.store, dispute.worker].map(recipient => Notification.create({
+    recipient,
+    sender: adminId,
+    type: 'dispute_resolved',
+    title: 'Dispute Resolved',
+    message: `The dispute about ${gig ? gig.title : 'your gig'} was resolved (${outcome}): ${note}`,
+    data: { gigId: dispute.gig, disputeId: dispute._id }
+  })));
+
+  return { ...result, dispute };
+};
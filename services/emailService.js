@@ -0,0 +1,72 @@
+import nodemailer from 'nodemailer';
+import templates from './emailTemplates.js';
+
+// SMTP transport configured from the environment. Point SMTP_HOST/SMTP_PORT
+// at a local stand-in (e.g. MailHog on localhost:1025) for development and
+// tests; without SMTP_HOST, messages are only rendered and logged.
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (process.env.SMTP_HOST) {
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    } else {
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+  }
+  return transporter;
+};
+
+// Allow tests to swap in their own transport
+const setTransporter = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+// Render a template and send it
+const sendEmail = async (to, templateName, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const { subject, text, html } = template(data);
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'GigErn <no-reply@gigern.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`Email (${templateName}) to ${to}: ${subject}`);
+  }
+
+  return info;
+};
+
+// Send without blocking the request; failures are logged, never thrown
+const queueEmail = (to, templateName, data) => {
+  if (!to) return;
+  sendEmail(to, templateName, data).catch(error => {
+    console.error(`Send email (${templateName}) error:`, error);
+  });
+};
+
+// Send the email verification link for a freshly generated token
+const sendVerificationEmail = (user, token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  queueEmail(user.email, 'emailVerification', {
+    fullName: user.fullName,
+    verificationUrl: `${frontendUrl}/verify-email?token=${token}`
+  });
+};
+
+export { sendEmail, queueEmail, sendVerificationEmail, setTransporter };
@@ -0,0 +1,72 @@
+// Email templates. Each template takes a data object and returns
+// { subject, text, html }.
+
+const APP_NAME = 'GigErn';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap body paragraphs in the shared layout
+const layout = (heading, paragraphs, action) => {
+  const body = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#fff;padding:10px 16px;border-radius:4px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111">
+    <h2>${escapeHtml(heading)}</h2>
+    ${body}
+    ${button}
+    <p style="color:#666;font-size:12px">${APP_NAME}</p>
+  </body>
+</html>`;
+};
+
+const formatAmount = (amount) => `INR ${Number(amount).toFixed(2)}`;
+
+const templates = {
+  emailVerification: ({ fullName, verificationUrl }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    text: `Hi ${fullName},\n\nPlease verify your email address by opening this link:\n${verificationUrl}\n\nThe link expires in 24 hours.`,
+    html: layout('Verify your email address', [
+      `Hi ${fullName},`,
+      'Please verify your email address. The link expires in 24 hours.'
+    ], { label: 'Verify email', url: verificationUrl })
+  }),
+
+  applicationAccepted: ({ fullName, gigTitle, startTime }) => ({
+    subject: `You're hired: ${gigTitle}`,
+    text: `Hi ${fullName},\n\nYour application for "${gigTitle}" has been accepted. The gig starts at ${new Date(startTime).toLocaleString('en-IN')}.`,
+    html: layout('Application accepted', [
+      `Hi ${fullName},`,
+      `Your application for "${gigTitle}" has been accepted.`,
+      `The gig starts at ${new Date(startTime).toLocaleString('en-IN')}.`
+    ])
+  }),
+
+  gigCompleted: ({ fullName, gigTitle, workerName }) => ({
+    subject: `Gig completed: ${gigTitle}`,
+    text: `Hi ${fullName},\n\n${workerName} has marked "${gigTitle}" as completed.`,
+    html: layout('Gig completed', [
+      `Hi ${fullName},`,
+      `${workerName} has marked "${gigTitle}" as completed.`
+    ])
+  }),
+
+  paymentProcessed: ({ fullName, gigTitle, amount, transactionId }) => ({
+    subject: `Payment processed for ${gigTitle}`,
+    text: `Hi ${fullName},\n\nA payment of ${formatAmount(amount)} for "${gigTitle}" has been processed.\nTransaction ID: ${transactionId}`,
+    html: layout('Payment processed', [
+      `Hi ${fullName},`,
+      `A payment of ${formatAmount(amount)} for "${gigTitle}" has been processed.`,
+      `Transaction ID: ${transactionId}`
+    ])
+  })
+};
+
+export default templates;
@@ -0,0 +1,82 @@
+import fs from 'fs';
+
+// Pincode geocoding providers. Each provider exposes:
+//   name: string
+//   lookupPincode(pincode): Promise<{ lat, lng } | null>
+// Select one with GEOCODER_PROVIDER ('nominatim' or 'local'); defaults to
+// the local stub outside production.
+
+const createNominatimProvider = () => {
+  const baseUrl = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+  const country = process.env.GEOCODER_COUNTRY || 'India';
+
+  return {
+    name: 'nominatim',
+    async lookupPincode(pincode) {
+      const params = new URLSearchParams({ postalcode: pincode, country, format: 'json', limit: '1' });
+      const response = await fetch(`${baseUrl}/search?${params}`, {
+        headers: { 'User-Agent': 'GigErn-backend' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Geocoding failed with status ${response.status}`);
+      }
+
+      const [result] = await response.json();
+      return result ? { lat: parseFloat(result.lat), lng: parseFloat(result.lon) } : null;
+    }
+  };
+};
+
+// Development/test stub: resolves pincodes from a JSON file
+// ({ "560001": { "lat": 12.97, "lng": 77.59 } }) named by GEOCODER_LOCAL_FILE
+const createLocalProvider = () => {
+  let pincodes = {};
+  if (process.env.GEOCODER_LOCAL_FILE && fs.existsSync(process.env.GEOCODER_LOCAL_FILE)) {
+    pincodes = JSON.parse(fs.readFileSync(process.env.GEOCODER_LOCAL_FILE, 'utf8'));
+  }
+
+  return {
+    name: 'local',
+    async lookupPincode(pincode) {
+      return pincodes[pincode] || null;
+    }
+  };
+};
+
+const providers = {
+  nominatim: createNominatimProvider,
+  local: createLocalProvider
+};
+
+let provider = null;
+
+const getGeocoder = () => {
+  if (!provider) {
+    const name = process.env.GEOCODER_PROVIDER ||
+      (process.env.NODE_ENV === 'production' ? 'nominatim' : 'local');
+
+    if (!providers[name]) {
+      throw new Error(`Unknown geocoder provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Allow tests to swap in their own provider
+const setGeocoder = (customProvider) => {
+  provider = customProvider;
+};
+
+// Look up coordinates, logging and swallowing provider errors
+const geocodePincode = async (pincode) => {
+  try {
+    return await getGeocoder().lookupPincode(pincode);
+  } catch (error) {
+    console.error('Geocode pincode error:', error);
+    return null;
+  }
+};
+
+export { getGeocoder, setGeocoder, geocodePincode };
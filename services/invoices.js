@@ -0,0 +1,377 @@
+import fs from 'fs';
+import path from 'path';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Payment from '../models/Payment.js';
+import Gig from '../models/Gig.js';
+import User from '../models/User.js';
+import { GST_STATES, getStateCode, platformGst, splitGst } from '../utils/gst.js';
+import { getLocalParts, toInstant } from '../utils/availability.js';
+import { renderTextPdf } from '../utils/pdf.js';
+
+// Invoices are kept outside uploads/, which is served publicly
+const INVOICE_DIR = process.env.INVOICE_STORAGE_DIR || 'invoices';
+
+const PREFIXES = { payment: 'GE', monthly: 'GEM', credit_note: 'GECN' };
+
+const TITLES = {
+  payment: 'Tax Invoice',
+  monthly: 'Consolidated Tax Invoice',
+  credit_note: 'Credit Note'
+};
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+const formatAmount = (value) => `INR ${value.toFixed(2)}`;
+
+// Indian financial year (April to March) of a date, e.g. '2627'
+const financialYear = (date) => {
+  const [year, month] = getLocalParts(date).dateKey.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${String(start).slice(2)}${String(start + 1).slice(2)}`;
+};
+
+// Invoice numbers run sequentially per type and financial year, e.g. GE/2627/00042
+const nextInvoiceNumber = async (type, date) => {
+  const fy = financialYear(date);
+  const seq = await Counter.next(`invoice:${type}:${fy}`);
+  return `${PREFIXES[type]}/${fy}/${String(seq).padStart(5, '0')}`;
+};
+
+const partyFromStore = (store) => {
+  const stateCode = getStateCode(store.gstNumber);
+  return {
+    name: store.businessName || store.fullName,
+    gstin: store.gstNumber,
+    address: [store.businessAddress, store.city, store.pincode].filter(Boolean).join(', '),
+    stateCode,
+    state: stateCode ? GST_STATES[stateCode] : undefined
+  };
+};
+
+const supplierParty = () => ({
+  name: platformGst.legalName,
+  gstin: platformGst.gstin,
+  address: platformGst.address,
+  stateCode: platformGst.stateCode,
+  state: GST_STATES[platformGst.stateCode]
+});
+
+const toJson = (invoice) => {
+  const { pdfPath, jsonPath, __v, ...data } = invoice.toObject();
+  return data;
+};
+
+const renderPdf = (invoice) => {
+  const party = (label, p) => [
+    { text: label, bold: true },
+    p.name,
+    p.address,
+    `GSTIN: ${p.gstin || 'Unregistered'}`,
+    `State: ${p.state || 'Unknown'}${p.stateCode ? ` (${p.stateCode})` : ''}`
+  ].filter(Boolean).concat('');
+
+  const lines = [
+    { text: TITLES[invoice.type], bold: true, size: 16 },
+    '',
+    `${invoice.type === 'credit_note' ? 'Credit Note' : 'Invoice'} No: ${invoice.number}`,
+    `Date: ${getLocalParts(invoice.issuedAt).dateKey}`,
+    invoice.originalInvoiceNumber ? `Against invoice: ${invoice.originalInvoiceNumber}` : '',
+    invoice.period && invoice.period.year
+      ? `Period: ${invoice.period.year}-${String(invoice.period.month).padStart(2, '0')}`
+      : '',
+    `Place of supply: ${invoice.placeOfSupply}`,
+    '',
+    ...party('Supplier', invoice.supplier),
+    ...party('Billed to', invoice.recipient),
+    { text: 'Details', bold: true },
+    ...invoice.lines.map(line =>
+      `${line.description} | Worker payout ${formatAmount(line.workerPayout)} | Platform fee ${formatAmount(line.platformFee)}`
+    ),
+    '',
+    `Worker payout (collected on behalf of workers, not a taxable supply): ${formatAmount(invoice.workerPayout)}`,
+    `Platform fee, SAC ${platformGst.sac} (inclusive of GST): ${formatAmount(invoice.platformFee)}`,
+    `Taxable value: ${formatAmount(invoice.taxableValue)}`
+  ];
+
+  if (invoice.igst > 0) {
+    lines.push(`IGST @ ${invoice.taxRate}%: ${formatAmount(invoice.igst)}`);
+  } else {
+    lines.push(`CGST @ ${invoice.taxRate / 2}%: ${formatAmount(invoice.cgst)}`);
+    lines.push(`SGST @ ${invoice.taxRate / 2}%: ${formatAmount(invoice.sgst)}`);
+  }
+  lines.push('', { text: `Total: ${formatAmount(invoice.total)}`, bold: true, size: 12 });
+  if (invoice.type === 'monthly') {
+    lines.push('', 'Consolidates the invoices listed above, net of credit notes; no further tax is charged.');
+  } else if (invoice.type === 'credit_note') {
+    lines.push('', 'Reduces the invoice above by the amounts shown for a refund to the store.');
+  }
+
+  return renderTextPdf(lines);
+};
+
+// Write the invoice's PDF and JSON files, e.g. after issuing it or if they
+// have gone missing
+export const writeInvoiceFiles = async (invoice) => {
+  const dir = path.join(INVOICE_DIR, invoice.store.toString());
+  const baseName = invoice.number.replace(/\//g, '-');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  invoice.pdfPath = path.join(dir, `${baseName}.pdf`);
+  invoice.jsonPath = path.join(dir, `${baseName}.json`);
+  await fs.promises.writeFile(invoice.pdfPath, renderPdf(invoice));
+  await fs.promises.writeFile(invoice.jsonPath, JSON.stringify(toJson(invoice), null, 2));
+  await invoice.save();
+
+  return invoice;
+};
+
+// An invoice slot left without a number for this long was abandoned (e.g.
+// by a crash) and is numbered by the invoice job
+const UNNUMBERED_GRACE_MS = 5 * 60 * 1000;
+
+// Fields of an invoice over `lines`, apart from its number
+const invoiceFields = ({ store, payment, period, original, lines, issuedAt = new Date() }) => {
+  const recipient = partyFromStore(store);
+  const workerPayout = roundTo2(lines.reduce((sum, line) => sum + line.workerPayout, 0));
+  const platformFee = roundTo2(lines.reduce((sum, line) => sum + line.platformFee, 0));
+
+  return {
+    store: store._id,
+    payment,
+    period,
+    originalInvoice: original && original._id,
+    originalInvoiceNumber: original && original.number,
+    issuedAt,
+    supplier: supplierParty(),
+    recipient,
+    placeOfSupply: recipient.state || 'Unknown',
+    lines,
+    workerPayout,
+    platformFee,
+    ...splitGst(platformFee, recipient.stateCode),
+    total: roundTo2(workerPayout + platformFee)
+  };
+};
+
+// Give a claimed invoice slot its number and write its files
+const numberInvoice = async (invoice) => {
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, number: { $exists: false } },
+    { number: await nextInvoiceNumber(invoice.type, invoice.issuedAt) },
+    { new: true }
+  );
+  // Numbered concurrently
+  if (!numbered) return Invoice.findById(invoice._id);
+
+  return writeInvoiceFiles(numbered);
+};
+
+// Claim the invoice slot matching `slot` (one per payment, or per store and
+// month), then number it. Claiming first means concurrent calls cannot each
+// take a number for the same invoice. Returns the invoice already in the
+// slot if there is one.
+const issueInvoice = async (slot, fields) => {
+  // Fields in the slot filter are set from it on insert
+  const insertFields = Object.fromEntries(Object.entries(fields).filter(([key]) => !(key in slot)));
+
+  let claimed;
+  try {
+    claimed = await Invoice.findOneAndUpdate(
+      slot,
+      { $setOnInsert: insertFields },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    // Lost a concurrent upsert
+    if (error.code === 11000) return Invoice.findOne(slot);
+    throw error;
+  }
+
+  if (claimed.lastErrorObject.updatedExisting) {
+    return claimed.value;
+  }
+  return numberInvoice(claimed.value);
+};
+
+// Issue the invoice for a completed payment, once
+export const issuePaymentInvoice = async (payment) => {
+  const slot = { type: 'payment', payment: payment._id };
+  const existing = await Invoice.findOne(slot);
+  if (existing) return existing;
+
+  const [store, gig] = await Promise.all([
+    User.findById(payment.store),
+    Gig.findById(payment.gig).select('title')
+  ]);
+  const platformFee = roundTo2(payment.amount - roundTo2(payment.workerAmount));
+
+  return issueInvoice(slot, invoiceFields({
+    store,
+    payment: payment._id,
+    issuedAt: payment.processedAt || new Date(),
+    lines: [{
+      description: `${payment.type === 'cancellation_fee' ? 'Late cancellation fee' : 'Gig payment'}: ${gig ? gig.title : payment.gig} (${payment.transactionId})`,
+      sac: platformGst.sac,
+      payment: payment._id,
+      workerPayout: roundTo2(payment.amount - platformFee),
+      platformFee
+    }]
+  }));
+};
+
+// Issue the credit note for a completed refund, once, against the payment's
+// invoice
+export const issueCreditNote = async (payment, refund) => {
+  const slot = { type: 'credit_note', refund: refund._id };
+  const existing = await Invoice.findOne(slot);
+  if (existing) return existing;
+
+  const original = await issuePaymentInvoice(payment);
+  if (!original.number) {
+    // Left unnumbered by a crash; the invoice job numbers it and retries
+    throw new Error(`Invoice for payment ${payment._id} is not numbered yet`);
+  }
+
+  const store = await User.findById(payment.store);
+  return issueInvoice(slot, invoiceFields({
+    store,
+    payment: payment._id,
+    original,
+    issuedAt: refund.refundedAt || new Date(),
+    lines: [{
+      description: `Refund against invoice ${original.number}: ${refund.reason}`,
+      sac: platformGst.sac,
+      payment: payment._id,
+      workerPayout: refund.workerClawback,
+      platformFee: refund.platformFeeReversed
+    }]
+  }));
+};
+
+// Issue invoices for completed payments and credit notes for completed
+// refunds that do not have one yet, and number any invoice slot that was
+// claimed but never numbered
+export const issueMissingInvoices = async () => {
+  const abandoned = await Invoice.find({
+    number: { $exists: false },
+    createdAt: { $lt: new Date(Date.now() - UNNUMBERED_GRACE_MS) }
+  });
+
+  let issued = 0;
+  for (const invoice of abandoned) {
+    try {
+      await numberInvoice(invoice);
+      issued += 1;
+    } catch (error) {
+      console.error('Number invoice error:', error);
+    }
+  }
+
+  const payments = await Payment.aggregate([
+    { $match: { status: 'completed' } },
+    {
+      $lookup: {
+        from: Invoice.collection.name,
+        localField: '_id',
+        foreignField: 'payment',
+        as: 'invoices'
+      }
+    },
+    { $match: { invoices: { $size: 0 } } },
+    { $project: { invoices: 0 } }
+  ]);
+
+  for (const payment of payments) {
+    try {
+      await issuePaymentInvoice(Payment.hydrate(payment));
+      issued += 1;
+    } catch (error) {
+      console.error('Issue invoice error:', error);
+    }
+  }
+
+  const refunds = await Payment.aggregate([
+    { $match: { 'refunds.status': 'completed' } },
+    { $unwind: '$refunds' },
+    { $match: { 'refunds.status': 'completed' } },
+    {
+      $lookup: {
+        from: Invoice.collection.name,
+        localField: 'refunds._id',
+        foreignField: 'refund',
+        as: 'creditNotes'
+      }
+    },
+    { $match: { creditNotes: { $size: 0 } } },
+    { $project: { refundId: '$refunds._id' } }
+  ]);
+
+  for (const { _id, refundId } of refunds) {
+    try {
+      const payment = await Payment.findById(_id);
+      await issueCreditNote(payment, payment.refunds.id(refundId));
+      issued += 1;
+    } catch (error) {
+      console.error('Issue credit note error:', error);
+    }
+  }
+  return issued;
+};
+
+// Consolidate each store's payment invoices for a local calendar month, net
+// of the credit notes issued in it
+export const issueMonthlyInvoices = async (year, month) => {
+  const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+  const nextMonthKey = month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+  const from = toInstant(`${monthKey}-01`, '00:00');
+  const to = toInstant(`${nextMonthKey}-01`, '00:00');
+
+  const invoicesByStore = await Invoice.aggregate([
+    {
+      $match: {
+        type: { $in: ['payment', 'credit_note'] },
+        number: { $exists: true },
+        issuedAt: { $gte: from, $lt: to }
+      }
+    },
+    { $sort: { issuedAt: 1 } },
+    { $group: { _id: '$store', invoices: { $push: '$$ROOT' } } }
+  ]);
+
+  let issued = 0;
+  for (const { _id: storeId, invoices } of invoicesByStore) {
+    try {
+      if (await Invoice.exists({ type: 'monthly', store: storeId, 'period.year': year, 'period.month': month })) {
+        continue;
+      }
+
+      const store = await User.findById(storeId);
+      await issueInvoice({ type: 'monthly', store: storeId, period: { year, month } }, invoiceFields({
+        store,
+        period: { year, month },
+        lines: invoices.map(invoice => {
+          const isCreditNote = invoice.type === 'credit_note';
+          const sign = isCreditNote ? -1 : 1;
+          return {
+            description: `${isCreditNote ? 'Credit note' : 'Invoice'} ${invoice.number}`,
+            sac: platformGst.sac,
+            payment: invoice.payment,
+            workerPayout: sign * invoice.workerPayout,
+            platformFee: sign * invoice.platformFee
+          };
+        })
+      }));
+      issued += 1;
+    } catch (error) {
+      console.error('Issue monthly invoice error:', error);
+    }
+  }
+  return issued;
+};
+
+// The local calendar month before `date`
+export const previousMonth = (date = new Date()) => {
+  const [year, month] = getLocalParts(date).dateKey.split('-').map(Number);
+  return month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+};
@@ -0,0 +1,85 @@
+// In-memory registry of open notification streams (Server-Sent Events),
+// keyed by recipient user id. Each user may have several open connections.
+const connections = new Map();
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keep proxies from closing idle streams
+
+// Write a single notification as an SSE event
+const writeEvent = (res, notification) => {
+  res.write(`id: ${notification._id}\n`);
+  res.write('event: notification\n');
+  res.write(`data: ${JSON.stringify(notification)}\n\n`);
+};
+
+// Tell the client it missed more than can be replayed and should reload its
+// inbox; the id lets a reconnect resume from the newest notification
+const writeReset = (res, lastId) => {
+  if (lastId) res.write(`id: ${lastId}\n`);
+  res.write('event: reset\n');
+  res.write('data: {}\n\n');
+};
+
+// Live notifications held back from streams that are still replaying
+const pending = new WeakMap();
+
+// Register a response as an open stream for a user. With { replaying: true }
+// live notifications are buffered until finishReplay() is called.
+const subscribe = (userId, res, { replaying = false } = {}) => {
+  const key = userId.toString();
+  if (!connections.has(key)) {
+    connections.set(key, new Set());
+  }
+  connections.get(key).add(res);
+  if (replaying) pending.set(res, []);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  return () => {
+    clearInterval(heartbeat);
+    const userConnections = connections.get(key);
+    if (!userConnections) return;
+    userConnections.delete(res);
+    if (userConnections.size === 0) {
+      connections.delete(key);
+    }
+  };
+};
+
+// Write the replayed notifications, then the live ones buffered meanwhile,
+// skipping any the replay already covered so nothing is sent twice
+const finishReplay = (res, replayed = []) => {
+  const buffered = pending.get(res) || [];
+  pending.delete(res);
+
+  const sent = new Set(replayed.map(notification => notification._id.toString()));
+  replayed.forEach(notification => writeEvent(res, notification));
+  buffered
+    .filter(notification => !sent.has(notification._id.toString()))
+    .forEach(notification => writeEvent(res, notification));
+};
+
+// Push a notification to all of the recipient's open streams
+const publish = (notification) => {
+  const userConnections = connections.get(notification.recipient.toString());
+  if (!userConnections) return;
+
+  const payload = typeof notification.toObject === 'function'
+    ? notification.toObject()
+    : notification;
+
+  userConnections.forEach(res => {
+    try {
+      if (pending.has(res)) {
+        pending.get(res).push(payload);
+        return;
+      }
+      writeEvent(res, payload);
+    } catch (error) {
+      console.error('Notification stream write error:', error);
+    }
+  });
+};
+
+export { subscribe, finishReplay, publish, writeEvent, writeReset };
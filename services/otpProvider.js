@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import twilio from 'twilio';
+
+// OTP delivery providers. Each provider exposes:
+//   name: string
+//   send(phoneNumber, code): Promise<void>
+// Select one with OTP_PROVIDER ('twilio' or 'console'); defaults to the
+// console stub outside production.
+
+// Convert a stored, digits-only phone number into E.164 for SMS gateways
+const toE164 = (phoneNumber) => {
+  const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || '91';
+  return phoneNumber.length === 10 ? `+${countryCode}${phoneNumber}` : `+${phoneNumber}`;
+};
+
+const createTwilioProvider = () => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+    throw new Error('Twilio OTP provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+  }
+
+  const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+  return {
+    name: 'twilio',
+    async send(phoneNumber, code) {
+      await client.messages.create({
+        from: TWILIO_PHONE_NUMBER,
+        to: toE164(phoneNumber),
+        body: `${code} is your GigErn verification code. It expires in 10 minutes.`
+      });
+    }
+  };
+};
+
+// Development/test stub: logs the code and, if OTP_LOG_FILE is set,
+// appends it there so tests can read it back
+const createConsoleProvider = () => ({
+  name: 'console',
+  async send(phoneNumber, code) {
+    console.log(`OTP for ${phoneNumber}: ${code}`);
+
+    if (process.env.OTP_LOG_FILE) {
+      await fs.promises.mkdir(path.dirname(process.env.OTP_LOG_FILE), { recursive: true });
+      await fs.promises.appendFile(
+        process.env.OTP_LOG_FILE,
+        JSON.stringify({ phoneNumber, code, sentAt: new Date().toISOString() }) + '\n'
+      );
+    }
+  }
+});
+
+const providers = {
+  twilio: createTwilioProvider,
+  console: createConsoleProvider
+};
+
+let provider = null;
+
+const getOtpProvider = () => {
+  if (!provider) {
+    const name = process.env.OTP_PROVIDER ||
+      (process.env.NODE_ENV === 'production' ? 'twilio' : 'console');
+
+    if (!providers[name]) {
+      throw new Error(`Unknown OTP provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Allow tests to swap in their own provider
+const setOtpProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+export { getOtpProvider, setOtpProvider };
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+
+// Payment gateway adapters. Each gateway exposes:
+//   name: string
+//   charge({ transactionId, amount, currency, paymentMethod, description }): Promise<result>
+//   payout({ transactionId, amount, currency, method, destination }): Promise<result>
+//   refund({ transactionId, refundId, amount, reason }): Promise<result>
+//   getStatus(transactionId): Promise<result>
+// where result is { status: 'succeeded' | 'failed' | 'pending' | 'unknown', reference, message }.
+// 'unknown' means the gateway has no record of the transaction; it may still
+// have gone through, so callers keep it processing and never treat it as failed.
+// A refund's status is looked up as getStatus(`${transactionId}:${refundId}`).
+// Select one with PAYMENT_GATEWAY; only the local mock ships today, and it
+// must be chosen explicitly in production.
+
+// Deterministic local gateway for development and tests. Every charge,
+// payout and refund gets PAYMENT_MOCK_OUTCOME (default 'succeeded');
+// 'pending' ones succeed on the next status check.
+const createMockGateway = () => {
+  const outcome = process.env.PAYMENT_MOCK_OUTCOME || 'succeeded';
+  const transactions = new Map();
+
+  const referenceFor = (transactionId) => 'MOCK' + crypto
+    .createHash('sha256')
+    .update(transactionId)
+    .digest('hex')
+    .slice(0, 16)
+    .toUpperCase();
+
+  const record = (transactionId, message) => {
+    const result = {
+      status: outcome,
+      reference: referenceFor(transactionId),
+      message: outcome === 'failed' ? 'Declined by mock gateway' : message
+    };
+    transactions.set(transactionId, { ...result });
+    return result;
+  };
+
+  return {
+    name: 'mock',
+    async charge({ transactionId, amount }) {
+      return record(transactionId, `Charged ${amount}`);
+    },
+    async payout({ transactionId, amount, method }) {
+      return record(transactionId, `Paid out ${amount} by ${method}`);
+    },
+    async refund({ transactionId, refundId, amount }) {
+      return record(`${transactionId}:${refundId}`, `Refunded ${amount}`);
+    },
+    async getStatus(transactionId) {
+      const transaction = transactions.get(transactionId);
+      // Its record was lost, e.g. on restart
+      if (!transaction) {
+        return { status: 'unknown', reference: referenceFor(transactionId), message: 'Unknown transaction' };
+      }
+      if (transaction.status === 'pending') {
+        transaction.status = 'succeeded';
+      }
+      return { ...transaction };
+    }
+  };
+};
+
+const gateways = {
+  mock: createMockGateway
+};
+
+let gateway = null;
+
+const getPaymentGateway = () => {
+  if (!gateway) {
+    const name = process.env.PAYMENT_GATEWAY ||
+      (process.env.NODE_ENV === 'production' ? null : 'mock');
+
+    if (!name) {
+      throw new Error('PAYMENT_GATEWAY must be set in production');
+    }
+    if (!gateways[name]) {
+      throw new Error(`Unknown payment gateway: ${name}`);
+    }
+    gateway = gateways[name]();
+  }
+  return gateway;
+};
+
+// Allow tests to swap in their own gateway
+const setPaymentGateway = (customGateway) => {
+  gateway = customGateway;
+};
+
+export { getPaymentGateway, setPaymentGateway };
@@ -0,0 +1,395 @@
+import mongoose from 'mongoose';
+import Gig from '../models/Gig.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import { queueEmail } from './emailService.js';
+import { creditPayment, reverseRefund, holdForDispute } from './wallet.js';
+import { issuePaymentInvoice, issueCreditNote } from './invoices.js';
+
+// Method new payments are made with unless the payer picks another
+export const DEFAULT_PAYMENT_METHOD = process.env.DEFAULT_PAYMENT_METHOD || 'bank_transfer';
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Failed payments can be retried
+const PROCESSABLE_STATUSES = ['pending', 'failed'];
+
+const GATEWAY_STATUSES = {
+  succeeded: 'completed',
+  failed: 'failed',
+  pending: 'processing',
+  unknown: 'processing'
+};
+
+// Refunded payments are settled: nothing further is owed to the worker
+const ASSIGNMENT_PAYMENT_STATUSES = {
+  completed: 'paid',
+  refunded: 'paid',
+  cancelled: 'paid',
+  failed: 'failed'
+};
+
+// Mirror a gig payment's status onto its assignment and the gig's rollup
+export const syncGigPaymentStatus = async (payment) => {
+  if (payment.type !== 'gig_payment') return;
+
+  const gig = await Gig.findById(payment.gig);
+  const assignment = gig && gig.assignments.find(item => item.payment && item.payment.equals(payment._id));
+  if (!assignment) return;
+
+  assignment.paymentStatus = ASSIGNMENT_PAYMENT_STATUSES[payment.status] || 'pending';
+  gig.refreshStatus();
+  await gig.save();
+};
+
+const notifyOutcome = async (payment) => {
+  const gig = await Gig.findById(payment.gig).select('title');
+  const gigTitle = gig ? gig.title : 'your gig';
+
+  if (payment.status === 'completed') {
+    await Notification.create({
+      recipient: payment.worker,
+      sender: payment.store,
+      type: 'payment_received',
+      title: 'Payment Received',
+      message: `${payment.workerAmount} for ${gigTitle} has been credited to your wallet`,
+      data: { gigId: payment.gig, paymentId: payment._id }
+    });
+
+    const worker = await User.findById(payment.worker).select('fullName email');
+    if (worker) {
+      queueEmail(worker.email, 'paymentProcessed', {
+        fullName: worker.fullName,
+        gigTitle,
+        amount: payment.workerAmount,
+        transactionId: payment.transactionId
+      });
+    }
+  } else if (payment.status === 'failed') {
+    await Notification.create({
+      recipient: payment.store,
+      type: 'payment_failed',
+      title: 'Payment Failed',
+      message: `The payment of ${payment.amount} for ${gigTitle} failed: ${payment.paymentGatewayResponse.message}`,
+      data: { gigId: payment.gig, paymentId: payment._id }
+    });
+  }
+};
+
+// The payment fields a gateway result sets
+const gatewayUpdate = (gateway, result) => {
+  const update = {
+    status: GATEWAY_STATUSES[result.status] || 'failed',
+    paymentGatewayResponse: {
+      gateway: gateway.name,
+      ...result,
+      receivedAt: new Date()
+    }
+  };
+  if (update.status === 'completed') {
+    update.processedAt = new Date();
+  }
+  return update;
+};
+
+// Credit, invoice and notify once a payment has its outcome. Callers make
+// sure this runs once per outcome.
+const finishOutcome = async (payment) => {
+  if (payment.status === 'completed') {
+    const credited = await creditPayment(payment);
+    // Completed while a dispute is open: hold the credit in the wallet
+    if (credited && payment.onHold && payment.dispute) {
+      await holdForDispute({ _id: payment.dispute }, payment);
+    }
+    try {
+      await issuePaymentInvoice(payment);
+    } catch (error) {
+      // The invoice job issues it later
+      console.error('Issue invoice error:', error);
+    }
+  }
+
+  if (payment.status !== 'processing') {
+    await syncGigPaymentStatus(payment);
+    await notifyOutcome(payment);
+  }
+
+  return payment;
+};
+
+// Record what the gateway said about a payment this call has claimed and
+// move it on accordingly
+const applyGatewayResult = async (payment, gateway, result) => {
+  payment.set(gatewayUpdate(gateway, result));
+  await payment.save();
+  return finishOutcome(payment);
+};
+
+// Charge a pending (or previously failed) payment through the gateway.
+// Returns { payment } or { error, status }.
+export const processPayment = async (payment, { paymentMethod } = {}) => {
+  if (payment.onHold) {
+    return { error: 'Payment is on hold while a dispute is open', status: 409 };
+  }
+
+  if (!PROCESSABLE_STATUSES.includes(payment.status)) {
+    return { error: `Payment is already ${payment.status}`, status: 400 };
+  }
+
+  const gateway = getPaymentGateway();
+
+  // Claim the payment so concurrent requests cannot charge it twice
+  const transactionId = payment.generateTransactionId();
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: payment.status, onHold: { $ne: true } },
+    {
+      status: 'processing',
+      transactionId,
+      paymentMethod: paymentMethod || payment.paymentMethod
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { error: 'Payment is already being processed', status: 409 };
+  }
+
+  let result;
+  try {
+    result = await gateway.charge({
+      transactionId,
+      amount: claimed.amount,
+      currency: 'INR',
+      paymentMethod: claimed.paymentMethod,
+      description: `${claimed.type} ${claimed._id}`
+    });
+  } catch (error) {
+    console.error('Payment gateway error:', error);
+    result = { status: 'failed', message: error.message };
+  }
+
+  return { payment: await applyGatewayResult(claimed, gateway, result) };
+};
+
+// Ask the gateway for the outcome of a payment still processing
+export const refreshPayment = async (payment) => {
+  if (payment.status !== 'processing') {
+    return { error: `Payment is ${payment.status}, not processing`, status: 400 };
+  }
+
+  const gateway = getPaymentGateway();
+  const result = await gateway.getStatus(payment.transactionId);
+
+  // Claim the outcome so concurrent refreshes cannot credit and notify twice
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'processing', transactionId: payment.transactionId },
+    gatewayUpdate(gateway, result),
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { error: 'Payment was settled concurrently', status: 409 };
+  }
+
+  return { payment: await finishOutcome(claimed) };
+};
+
+const notifyRefund = async (payment, refund) => {
+  const gig = await Gig.findById(payment.gig).select('title');
+  const gigTitle = gig ? gig.title : 'your gig';
+  const full = payment.status === 'refunded' ? 'Full' : 'Partial';
+
+  await Promise.all([
+    Notification.create({
+      recipient: payment.store,
+      sender: refund.refundedBy,
+      type: 'payment_refunded',
+      title: `${full} Refund Issued`,
+      message: `${refund.amount} of your payment for ${gigTitle} has been refunded: ${refund.reason}`,
+      data: { gigId: payment.gig, paymentId: payment._id }
+    }),
+    Notification.create({
+      recipient: payment.worker,
+      sender: refund.refundedBy,
+      type: 'payment_refunded',
+      title: `${full} Refund Issued`,
+      message: `The store was refunded ${refund.amount} for ${gigTitle}; ${refund.workerClawback} has been deducted from your wallet: ${refund.reason}`,
+      data: { gigId: payment.gig, paymentId: payment._id }
+    })
+  ]);
+};
+
+// Record what the gateway said about a refund. A pending refund stays
+// processing; the fee is reversed and the worker's share clawed back only
+// once it succeeds, and a failed refund releases the amount it reserved.
+const settleRefund = async (payment, refund, gateway, result) => {
+  const response = {
+    gateway: gateway.name,
+    ...result,
+    receivedAt: new Date()
+  };
+  // Only a refund still processing can be settled, and only once
+  const processing = { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: 'processing' } } };
+
+  if (result.status === 'pending' || result.status === 'unknown') {
+    const current = await Payment.findOneAndUpdate(
+      processing,
+      { $set: { 'refunds.$.paymentGatewayResponse': response } },
+      { new: true }
+    ) || await Payment.findById(payment._id);
+    return { payment: current, refund: current.refunds.id(refund._id), replayed: false };
+  }
+
+  if (result.status !== 'succeeded') {
+    await Payment.updateOne(processing, {
+      $inc: { refundedAmount: -refund.amount },
+      $set: { 'refunds.$.status': 'failed', 'refunds.$.paymentGatewayResponse': response }
+    });
+    return { error: `Refund failed: ${result.message}`, status: 502 };
+  }
+
+  // Split the refund like the original payment; the refund that completes
+  // the payment takes whatever fee is left so nothing is lost to rounding
+  const platformFee = roundTo2(payment.amount - roundTo2(payment.workerAmount));
+  const completed = payment.refunds.filter(item => item.status === 'completed' && !item._id.equals(refund._id));
+  const refundedSoFar = completed.reduce((sum, item) => sum + item.amount, 0);
+  const feeReversedSoFar = completed.reduce((sum, item) => sum + item.platformFeeReversed, 0);
+  const isFull = roundTo2(refundedSoFar + refund.amount) >= payment.amount;
+
+  const platformFeeReversed = isFull
+    ? roundTo2(platformFee - feeReversedSoFar)
+    : roundTo2(refund.amount * platformFee / payment.amount);
+  const refundedAt = new Date();
+
+  const update = {
+    'refunds.$.status': 'completed',
+    'refunds.$.platformFeeReversed': platformFeeReversed,
+    'refunds.$.workerClawback': roundTo2(refund.amount - platformFeeReversed),
+    'refunds.$.refundedAt': refundedAt,
+    'refunds.$.paymentGatewayResponse': response,
+    refundReason: refund.reason
+  };
+  if (isFull) {
+    Object.assign(update, { status: 'refunded', refundedAt });
+  }
+
+  const settled = await Payment.findOneAndUpdate(processing, { $set: update }, { new: true });
+  if (!settled) {
+    // Settled by a concurrent status check
+    const current = await Payment.findById(payment._id);
+    return { payment: current, refund: current.refunds.id(refund._id), replayed: true };
+  }
+
+  const completedRefund = settled.refunds.id(refund._id);
+  await reverseRefund(settled, completedRefund);
+  await syncGigPaymentStatus(settled);
+  await notifyRefund(settled, completedRefund);
+
+  await AdminAuditLog.create({
+    admin: completedRefund.refundedBy,
+    targetUser: settled.store,
+    action: 'refund_payment',
+    reason: completedRefund.reason,
+    details: {
+      payment: settled._id,
+      refund: completedRefund._id,
+      amount: completedRefund.amount,
+      platformFeeReversed: completedRefund.platformFeeReversed,
+      workerClawback: completedRefund.workerClawback,
+      worker: settled.worker
+    }
+  });
+
+  try {
+    await issueCreditNote(settled, completedRefund);
+  } catch (error) {
+    // The invoice job issues it later
+    console.error('Issue credit note error:', error);
+  }
+
+  return { payment: settled, refund: completedRefund, replayed: false };
+};
+
+// Refund all or part of a completed payment through the gateway, reversing
+// the platform fee and clawing back the worker's share in proportion.
+// Repeating a call with the same idempotencyKey returns the original refund.
+// Returns { payment, refund, replayed } or { error, status }; the refund may
+// still be processing if the gateway has not confirmed it yet.
+export const refundPayment = async (payment, { amount, reason, idempotencyKey }, adminId) => {
+  const previous = payment.refunds.find(refund => refund.idempotencyKey === idempotencyKey);
+  if (previous) {
+    return { payment, refund: previous, replayed: true };
+  }
+
+  if (payment.status !== 'completed') {
+    return { error: `Only completed payments can be refunded; this one is ${payment.status}`, status: 400 };
+  }
+
+  const remaining = roundTo2(payment.amount - payment.refundedAmount);
+  amount = amount === undefined ? remaining : roundTo2(amount);
+
+  if (amount <= 0 || amount > remaining) {
+    return { error: `Refund must be more than 0 and at most the remaining ${remaining}`, status: 400 };
+  }
+
+  const gateway = getPaymentGateway();
+
+  // Reserve the amount so concurrent refunds cannot exceed the payment
+  const refundId = new mongoose.Types.ObjectId();
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'completed',
+      'refunds.idempotencyKey': { $ne: idempotencyKey },
+      $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, '$amount'] }
+    },
+    {
+      $push: { refunds: { _id: refundId, amount, reason, idempotencyKey, refundedBy: adminId } },
+      $inc: { refundedAmount: amount }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await Payment.findById(payment._id);
+    const concurrent = current.refunds.find(refund => refund.idempotencyKey === idempotencyKey);
+    if (concurrent) {
+      return { payment: current, refund: concurrent, replayed: true };
+    }
+    return { error: 'Payment was refunded concurrently; check the remaining amount and retry', status: 409 };
+  }
+
+  let result;
+  try {
+    result = await gateway.refund({
+      transactionId: claimed.transactionId,
+      refundId: refundId.toString(),
+      amount,
+      reason
+    });
+  } catch (error) {
+    console.error('Refund gateway error:', error);
+    result = { status: 'failed', message: error.message };
+  }
+
+  return settleRefund(claimed, claimed.refunds.id(refundId), gateway, result);
+};
+
+// Check the gateway for the outcome of a refund still processing
+export const refreshRefund = async (payment, refundId) => {
+  const refund = payment.refunds.id(refundId);
+  if (!refund) {
+    return { error: 'Refund not found', status: 404 };
+  }
+
+  if (refund.status !== 'processing') {
+    return { error: `Refund is ${refund.status}, not processing`, status: 400 };
+  }
+
+  const gateway = getPaymentGateway();
+  const result = await gateway.getStatus(`${payment.transactionId}:${refund._id}`);
+  return settleRefund(payment, refund, gateway, result);
+};
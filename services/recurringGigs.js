@@ -0,0 +1,113 @@
+import Gig from '../models/Gig.js';
+import GigSeries from '../models/GigSeries.js';
+import Notification from '../models/Notification.js';
+import { getLocalParts } from '../utils/availability.js';
+import { addDays, getOccurrenceDates, getShiftTimes } from '../utils/recurrence.js';
+
+// Days ahead that occurrences are generated for
+const GENERATION_DAYS = parseInt(process.env.SERIES_GENERATION_DAYS || '14');
+// Hours returning workers have to accept before an occurrence opens to everyone
+const PRIORITY_HOURS = parseFloat(process.env.SERIES_PRIORITY_HOURS || '24');
+
+// Workers who completed an earlier occurrence of a series
+export const getReturningWorkers = async (seriesId) => {
+  const workers = await Gig.aggregate([
+    { $match: { series: seriesId } },
+    { $unwind: '$assignments' },
+    { $match: { 'assignments.status': 'completed' } },
+    { $group: { _id: '$assignments.worker' } }
+  ]);
+  return workers.map(({ _id }) => _id);
+};
+
+// Build the occurrence of a series on a local date
+const buildOccurrence = (series, dateKey) => {
+  const { startTime, endTime } = getShiftTimes(series.shift, dateKey);
+  const gig = new Gig({
+    ...series.details.toObject(),
+    store: series.store,
+    series: series._id,
+    occurrenceDate: dateKey,
+    startTime,
+    endTime,
+    duration: (endTime - startTime) / (1000 * 60 * 60)
+  });
+  gig.calculateTotalAmount();
+  return gig;
+};
+
+// Hold a new occurrence for returning workers by inviting them first
+const reserveForReturningWorkers = (gig, workers, now) => {
+  const priorityUntil = new Date(Math.min(now.getTime() + PRIORITY_HOURS * 60 * 60 * 1000, gig.startTime.getTime()));
+
+  gig.priorityUntil = priorityUntil;
+  gig.priorityWorkers = workers;
+  workers.forEach(worker => gig.invitations.push({
+    worker,
+    message: 'You worked an earlier shift in this series, so you get first pick of this one.',
+    expiresAt: priorityUntil
+  }));
+};
+
+// Generate a series' occurrences up to the generation horizon
+export const generateOccurrences = async (series, now = new Date()) => {
+  if (series.status !== 'active') return [];
+
+  const horizon = addDays(getLocalParts(now).dateKey, GENERATION_DAYS);
+  const from = series.generatedThrough ? addDays(series.generatedThrough, 1) : series.recurrence.startDate;
+  const dates = getOccurrenceDates(series.recurrence, from, horizon);
+  const returningWorkers = series.prioritizeReturningWorkers ? await getReturningWorkers(series._id) : [];
+
+  const created = [];
+  for (const dateKey of dates) {
+    const gig = buildOccurrence(series, dateKey);
+    if (gig.startTime <= now) continue;
+
+    if (returningWorkers.length > 0) {
+      reserveForReturningWorkers(gig, returningWorkers, now);
+    }
+
+    try {
+      await gig.save();
+      created.push(gig);
+    } catch (error) {
+      // Already generated by a concurrent run
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  await Promise.all(created.flatMap(gig => gig.invitations.map(invitation => Notification.create({
+    recipient: invitation.worker,
+    sender: series.store,
+    type: 'gig_invitation',
+    title: 'Gig Invitation',
+    message: `You have first pick of the ${gig.occurrenceDate} shift of ${gig.title}`,
+    data: { gigId: gig._id, invitationId: invitation._id }
+  }))));
+
+  series.generatedThrough = series.recurrence.until < horizon ? series.recurrence.until : horizon;
+  if (series.generatedThrough >= series.recurrence.until) {
+    series.status = 'ended';
+  }
+  await series.save();
+
+  return created;
+};
+
+// Generate upcoming occurrences for every active series
+export const generateAllSeries = async (now = new Date()) => {
+  const horizon = addDays(getLocalParts(now).dateKey, GENERATION_DAYS);
+  const seriesList = await GigSeries.find({
+    status: 'active',
+    $or: [
+      { generatedThrough: { $exists: false } },
+      { generatedThrough: { $lt: horizon } }
+    ]
+  });
+
+  let created = 0;
+  for (const series of seriesList) {
+    created += (await generateOccurrences(series, now)).length;
+  }
+  return created;
+};
@@ -0,0 +1,204 @@
+import Gig from '../models/Gig.js';
+import Payment from '../models/Payment.js';
+import Notification from '../models/Notification.js';
+import { DEFAULT_PAYMENT_METHOD } from './payments.js';
+
+// Hours the store has to approve, adjust or dispute a submitted timesheet
+export const APPROVAL_WINDOW_HOURS = parseFloat(process.env.TIMESHEET_APPROVAL_HOURS || '48');
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+export const hoursBetween = (startTime, endTime) => roundTo2((endTime - startTime) / (1000 * 60 * 60));
+
+// Slack allowed around check-in and the scheduled shift length
+export const GRACE_MINUTES = parseFloat(process.env.TIMESHEET_GRACE_MINUTES || '30');
+
+// Check submitted hours against the check-in and the scheduled shift.
+// Returns an error message, or null if they are acceptable.
+export const checkTimesheet = (gig, assignment, startTime, endTime, now = new Date()) => {
+  const graceMs = GRACE_MINUTES * 60 * 1000;
+
+  if (endTime <= startTime || endTime > now) {
+    return 'Actual end time must be after the start time and not in the future';
+  }
+
+  if (startTime < new Date(assignment.startedAt.getTime() - graceMs)) {
+    return `Actual start time cannot be more than ${GRACE_MINUTES} minutes before you checked in`;
+  }
+
+  const maxHours = hoursBetween(gig.startTime, new Date(gig.endTime.getTime() + graceMs));
+  if (hoursBetween(startTime, endTime) > maxHours) {
+    return `A timesheet cannot exceed the scheduled shift plus ${GRACE_MINUTES} minutes (${maxHours} hours)`;
+  }
+
+  return null;
+};
+
+// Record the worker's actual hours and put the assignment up for approval
+export const submitTimesheet = (assignment, startTime, endTime, now = new Date()) => {
+  assignment.timesheet = {
+    startTime,
+    endTime,
+    hours: hoursBetween(startTime, endTime),
+    submittedAt: now,
+    approveBy: new Date(now.getTime() + APPROVAL_WINDOW_HOURS * 60 * 60 * 1000)
+  };
+  assignment.status = 'pending-approval';
+  assignment.completedAt = now;
+};
+
+const DECISION_MESSAGES = {
+  approved: (gig, hours) => `Your ${hours} hour(s) for ${gig.title} were approved`,
+  adjusted: (gig, hours, reason) => `Your hours for ${gig.title} were adjusted to ${hours}: ${reason}`,
+  'auto-approved': (gig, hours) => `Your ${hours} hour(s) for ${gig.title} were approved automatically`
+};
+
+// Approve a timesheet for `hours`, complete the assignment and create the
+// worker's payment for the approved hours (or an explicit `amount`). Only a
+// timesheet whose status is in `fromStatuses` can be approved, and only
+// once. Returns { payment } or { error }.
+export const approveTimesheet = async (gig, assignment, {
+  hours, amount, status = 'approved', reviewedBy, reason, fromStatuses = ['pending']
+}) => {
+  const payableAmount = amount !== undefined ? roundTo2(amount) : roundTo2(gig.hourlyRate * hours);
+  const decision = {
+    status,
+    approvedHours: hours,
+    payableAmount,
+    reason: reason || assignment.timesheet.reason,
+    reviewedBy,
+    reviewedAt: new Date()
+  };
+
+  // Claim the timesheet so a concurrent approval (e.g. the auto-approve job)
+  // cannot create a second payment
+  const claimed = await Gig.updateOne(
+    {
+      _id: gig._id,
+      assignments: {
+        $elemMatch: {
+          worker: assignment.worker,
+          status: 'pending-approval',
+          'timesheet.status': { $in: fromStatuses }
+        }
+      }
+    },
+    {
+      $set: Object.fromEntries([
+        ['assignments.$.status', 'completed'],
+        ...Object.entries(decision).map(([field, value]) => [`assignments.$.timesheet.${field}`, value])
+      ])
+    }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return { error: 'Timesheet has already been reviewed' };
+  }
+
+  let payment = null;
+  try {
+    if (payableAmount > 0) {
+      payment = await Payment.create({
+        gig: gig._id,
+        store: gig.store,
+        worker: assignment.worker,
+        amount: payableAmount,
+        paymentMethod: DEFAULT_PAYMENT_METHOD
+      });
+    }
+  } catch (error) {
+    // Put the timesheet back up for review as it was before the claim: the
+    // caller's copy still holds the previous decision fields, if any
+    const restore = { 'assignments.$.status': 'pending-approval' };
+    const unset = {};
+    Object.keys(decision).forEach(field => {
+      const previous = assignment.timesheet[field];
+      if (previous === undefined) {
+        unset[`assignments.$.timesheet.${field}`] = '';
+      } else {
+        restore[`assignments.$.timesheet.${field}`] = previous;
+      }
+    });
+
+    await Gig.updateOne(
+      { _id: gig._id, 'assignments.worker': assignment.worker },
+      Object.keys(unset).length > 0 ? { $set: restore, $unset: unset } : { $set: restore }
+    );
+    throw error;
+  }
+
+  // Nothing is owed when the approved amount is zero
+  await Gig.updateOne(
+    { _id: gig._id, 'assignments.worker': assignment.worker },
+    { $set: payment ? { 'assignments.$.payment': payment._id } : { 'assignments.$.paymentStatus': 'paid' } }
+  );
+
+  // Reload to roll the gig's status up from every assignment's current state
+  const updated = await Gig.findById(gig._id);
+  updated.refreshStatus();
+  await updated.save();
+
+  // Mirror the outcome onto the caller's copy
+  Object.assign(assignment.timesheet, decision);
+  assignment.status = 'completed';
+  if (payment) {
+    assignment.payment = payment._id;
+  } else {
+    assignment.paymentStatus = 'paid';
+  }
+  gig.status = updated.status;
+
+  await Notification.create({
+    recipient: assignment.worker,
+    sender: reviewedBy,
+    type: status === 'adjusted' ? 'timesheet_adjusted' : 'timesheet_approved',
+    title: status === 'adjusted' ? 'Hours Adjusted' : 'Hours Approved',
+    message: DECISION_MESSAGES[status](gig, hours, reason),
+    data: { gigId: gig._id }
+  });
+
+  return { payment };
+};
+
+// Approve every pending timesheet whose approval window has passed
+export const autoApproveTimesheets = async (now = new Date()) => {
+  const gigs = await Gig.find({
+    assignments: {
+      $elemMatch: {
+        status: 'pending-approval',
+        'timesheet.status': 'pending',
+        'timesheet.approveBy': { $lte: now }
+      }
+    }
+  });
+
+  let approved = 0;
+  for (const gig of gigs) {
+    const due = gig.assignments.filter(assignment =>
+      assignment.status === 'pending-approval' &&
+      assignment.timesheet.status === 'pending' &&
+      assignment.timesheet.approveBy <= now
+    );
+
+    for (const assignment of due) {
+      try {
+        const result = await approveTimesheet(gig, assignment, { hours: assignment.timesheet.hours, status: 'auto-approved' });
+        // Reviewed by the store in the meantime
+        if (result.error) continue;
+        approved += 1;
+
+        await Notification.create({
+          recipient: gig.store,
+          type: 'timesheet_approved',
+          title: 'Hours Approved Automatically',
+          message: `Submitted hours for ${gig.title} were approved because they were not reviewed within ${APPROVAL_WINDOW_HOURS} hours`,
+          data: { gigId: gig._id }
+        });
+      } catch (error) {
+        console.error('Auto-approve timesheet error:', error);
+      }
+    }
+  }
+
+  return approved;
+};
@@ -0,0 +1,409 @@
+import mongoose from 'mongoose';
+import LedgerTransaction, { ACCOUNTS } from '../models/LedgerTransaction.js';
+import Wallet from '../models/Wallet.js';
+import Withdrawal from '../models/Withdrawal.js';
+import Payment from '../models/Payment.js';
+import Dispute from '../models/Dispute.js';
+import Notification from '../models/Notification.js';
+import { getPaymentGateway } from './paymentGateway.js';
+
+// Smallest amount a worker may withdraw
+export const MIN_WITHDRAWAL = parseFloat(process.env.WALLET_MIN_WITHDRAWAL || '100');
+
+// Most withdrawals paid out per job run
+const PAYOUT_BATCH_SIZE = parseInt(process.env.WITHDRAWAL_BATCH_SIZE || '100');
+
+// A wallet is only repaired from the ledger once neither has moved for this
+// long, so a write whose other half is still in flight is not "repaired"
+const WALLET_REPAIR_QUIET_MS = 5 * 60 * 1000;
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Post a transaction to the ledger. Returns null if an entry with the same
+// key was already posted.
+const recordTransaction = async (entry) => {
+  try {
+    return await LedgerTransaction.create(entry);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Move the cached wallet balances by the transaction's wallet lines
+const applyToWallets = (lines) => Promise.all(lines
+  .filter(line => line.account === ACCOUNTS.WORKER_WALLET)
+  .map(line => Wallet.updateOne(
+    { user: line.user },
+    { $inc: { balance: line.amount } },
+    { upsert: true }
+  )));
+
+// Credit the worker's share of a completed payment and the platform fee
+export const creditPayment = async (payment) => {
+  const lines = [
+    { account: ACCOUNTS.GATEWAY, amount: -payment.amount },
+    { account: ACCOUNTS.WORKER_WALLET, user: payment.worker, amount: roundTo2(payment.workerAmount) },
+    { account: ACCOUNTS.PLATFORM_FEES, amount: roundTo2(payment.amount - roundTo2(payment.workerAmount)) }
+  ];
+
+  const transaction = await recordTransaction({
+    kind: 'payment_completed',
+    key: `payment:${payment._id}:completed`,
+    payment: payment._id,
+    description: `${payment.type} ${payment.transactionId}`,
+    lines
+  });
+
+  if (transaction) {
+    await applyToWallets(lines);
+  }
+  return transaction;
+};
+
+// Reverse a refund out of the platform fee and the worker's wallet. The
+// wallet may go negative; the shortfall is recovered from future earnings.
+export const reverseRefund = async (payment, refund) => {
+  const lines = [
+    { account: ACCOUNTS.GATEWAY, amount: refund.amount },
+    { account: ACCOUNTS.PLATFORM_FEES, amount: -refund.platformFeeReversed },
+    { account: ACCOUNTS.WORKER_WALLET, user: payment.worker, amount: -refund.workerClawback }
+  ];
+
+  const transaction = await recordTransaction({
+    kind: 'payment_refunded',
+    key: `refund:${refund._id}`,
+    payment: payment._id,
+    description: `Refund of ${payment.transactionId}: ${refund.reason}`,
+    lines
+  });
+
+  if (transaction) {
+    await applyToWallets(lines);
+  }
+  return transaction;
+};
+
+// Hold the worker's share of a credited payment in their wallet while a
+// dispute over it is open, less anything already clawed back by refunds
+export const holdForDispute = async (dispute, payment) => {
+  const clawedBack = payment.refunds
+    .filter(refund => refund.status === 'completed')
+    .reduce((sum, refund) => sum + refund.workerClawback, 0);
+  const amount = roundTo2(payment.workerAmount - clawedBack);
+  if (amount <= 0) return 0;
+
+  const held = await Dispute.updateOne({ _id: dispute._id, status: 'open' }, { $inc: { heldAmount: amount } });
+  if (held.matchedCount === 0) return 0;
+
+  await Wallet.updateOne({ user: payment.worker }, { $inc: { onHold: amount } }, { upsert: true });
+  dispute.heldAmount = roundTo2((dispute.heldAmount || 0) + amount);
+  return amount;
+};
+
+// Release what a dispute held in the worker's wallet
+export const releaseDisputeHold = async (dispute) => {
+  // Claim the hold so it is only released once
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, heldAmount: { $gt: 0 } },
+    { heldAmount: 0 }
+  );
+  if (!claimed) return;
+
+  await Wallet.updateOne({ user: claimed.worker }, { $inc: { onHold: -claimed.heldAmount } });
+  dispute.heldAmount = 0;
+};
+
+// Balances of a worker's accounts, summed from the ledger
+export const getLedgerBalances = async (userId) => {
+  const totals = await LedgerTransaction.aggregate([
+    { $match: { 'lines.user': new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.user': new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$lines.account', balance: { $sum: '$lines.amount' } } }
+  ]);
+
+  const balances = { available: 0, inTransit: 0 };
+  totals.forEach(({ _id, balance }) => {
+    if (_id === ACCOUNTS.WORKER_WALLET) balances.available = roundTo2(balance);
+    if (_id === ACCOUNTS.PAYOUTS_IN_TRANSIT) balances.inTransit = roundTo2(balance);
+  });
+  return balances;
+};
+
+// Reserve `amount` from the worker's wallet and queue it for payout.
+// Returns { withdrawal } or { error }.
+export const requestWithdrawal = async (worker, { amount, method }) => {
+  const { bankAccount, upiId } = worker.payoutDetails || {};
+  let destination;
+
+  if (method === 'upi') {
+    if (!upiId) return { error: 'Save a UPI ID before withdrawing by UPI' };
+    destination = { upiId };
+  } else {
+    if (!bankAccount || !bankAccount.accountNumber || !bankAccount.ifscCode) {
+      return { error: 'Save a bank account before withdrawing by bank transfer' };
+    }
+    destination = {
+      accountHolderName: bankAccount.accountHolderName,
+      accountNumber: bankAccount.accountNumber,
+      ifscCode: bankAccount.ifscCode
+    };
+  }
+
+  amount = roundTo2(amount);
+
+  // Only succeeds if the balance not on hold covers the amount, so concurrent
+  // requests cannot overdraw
+  const reserved = await Wallet.findOneAndUpdate(
+    {
+      user: worker._id,
+      $expr: { $gte: [{ $subtract: ['$balance', { $ifNull: ['$onHold', 0] }] }, amount] }
+    },
+    { $inc: { balance: -amount } }
+  );
+
+  if (!reserved) {
+    return { error: 'Insufficient wallet balance (amounts held for open disputes cannot be withdrawn)' };
+  }
+
+  const withdrawal = new Withdrawal({ worker: worker._id, amount, method, destination });
+
+  try {
+    await withdrawal.save();
+    await recordTransaction({
+      kind: 'withdrawal_requested',
+      key: `withdrawal:${withdrawal._id}:requested`,
+      withdrawal: withdrawal._id,
+      description: `Withdrawal by ${method}`,
+      lines: [
+        { account: ACCOUNTS.WORKER_WALLET, user: worker._id, amount: -amount },
+        { account: ACCOUNTS.PAYOUTS_IN_TRANSIT, user: worker._id, amount }
+      ]
+    });
+  } catch (error) {
+    await Wallet.updateOne({ user: worker._id }, { $inc: { balance: amount } });
+    if (!withdrawal.isNew) {
+      await Withdrawal.deleteOne({ _id: withdrawal._id });
+    }
+    throw error;
+  }
+
+  return { withdrawal };
+};
+
+// Record the gateway's answer for a withdrawal: paid out, or returned to the wallet
+const settleWithdrawal = async (withdrawal, gateway, result) => {
+  withdrawal.paymentGatewayResponse = {
+    gateway: gateway.name,
+    ...result,
+    receivedAt: new Date()
+  };
+
+  // Not settled yet; an unknown transaction may have been paid out, so it is
+  // never returned to the wallet on the gateway's silence
+  if (result.status === 'pending' || result.status === 'unknown') {
+    if (result.status === 'unknown') {
+      console.error(`Withdrawal ${withdrawal._id} is unknown to the gateway and needs manual review`);
+    }
+    await withdrawal.save();
+    return withdrawal;
+  }
+
+  const paid = result.status === 'succeeded';
+  withdrawal.status = paid ? 'completed' : 'failed';
+  withdrawal.processedAt = new Date();
+  if (!paid) withdrawal.failureReason = result.message;
+  await withdrawal.save();
+
+  const lines = [
+    { account: ACCOUNTS.PAYOUTS_IN_TRANSIT, user: withdrawal.worker, amount: -withdrawal.amount },
+    paid
+      ? { account: ACCOUNTS.GATEWAY, amount: withdrawal.amount }
+      : { account: ACCOUNTS.WORKER_WALLET, user: withdrawal.worker, amount: withdrawal.amount }
+  ];
+  const transaction = await recordTransaction({
+    kind: paid ? 'withdrawal_paid' : 'withdrawal_failed',
+    key: `withdrawal:${withdrawal._id}:${paid ? 'paid' : 'failed'}`,
+    withdrawal: withdrawal._id,
+    description: `Withdrawal ${withdrawal.transactionId}`,
+    lines
+  });
+  if (transaction) {
+    await applyToWallets(lines);
+  }
+
+  await Notification.create({
+    recipient: withdrawal.worker,
+    type: paid ? 'withdrawal_completed' : 'withdrawal_failed',
+    title: paid ? 'Withdrawal Paid' : 'Withdrawal Failed',
+    message: paid
+      ? `Your withdrawal of ${withdrawal.amount} has been paid`
+      : `Your withdrawal of ${withdrawal.amount} failed and was returned to your wallet: ${result.message}`,
+    data: { withdrawalId: withdrawal._id }
+  });
+
+  return withdrawal;
+};
+
+// Pay out requested withdrawals and check on those the gateway is still
+// processing. Returns the number settled.
+export const processWithdrawals = async () => {
+  const gateway = getPaymentGateway();
+  let settled = 0;
+
+  const inFlight = await Withdrawal.find({ status: 'processing' })
+    .sort({ createdAt: 1 })
+    .limit(PAYOUT_BATCH_SIZE);
+
+  for (const withdrawal of inFlight) {
+    try {
+      const result = await gateway.getStatus(withdrawal.transactionId);
+      await settleWithdrawal(withdrawal, gateway, result);
+      if (withdrawal.status !== 'processing') settled += 1;
+    } catch (error) {
+      console.error('Check withdrawal error:', error);
+    }
+  }
+
+  const requested = await Withdrawal.find({ status: 'requested' })
+    .sort({ createdAt: 1 })
+    .limit(PAYOUT_BATCH_SIZE);
+
+  for (const withdrawal of requested) {
+    try {
+      // Claim it so an overlapping run cannot pay it twice
+      const transactionId = withdrawal.generateTransactionId();
+      const claimed = await Withdrawal.findOneAndUpdate(
+        { _id: withdrawal._id, status: 'requested' },
+        { status: 'processing', transactionId },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      let result;
+      try {
+        result = await gateway.payout({
+          transactionId,
+          amount: claimed.amount,
+          currency: 'INR',
+          method: claimed.method,
+          destination: claimed.destination
+        });
+      } catch (error) {
+        console.error('Payout gateway error:', error);
+        result = { status: 'failed', message: error.message };
+      }
+
+      await settleWithdrawal(claimed, gateway, result);
+      if (claimed.status !== 'processing') settled += 1;
+    } catch (error) {
+      console.error('Process withdrawal error:', error);
+    }
+  }
+
+  return settled;
+};
+
+// Reset a worker's cached wallet balance to their ledger balance. The ledger
+// post and the wallet update are separate writes, so a crash between them
+// leaves the wallet off until this repairs it. Returns whether it did.
+const repairWallet = async (user) => {
+  const [total] = await LedgerTransaction.aggregate([
+    { $match: { 'lines.user': new mongoose.Types.ObjectId(user) } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': ACCOUNTS.WORKER_WALLET, 'lines.user': new mongoose.Types.ObjectId(user) } },
+    { $group: { _id: null, balance: { $sum: '$lines.amount' }, lastPostedAt: { $max: '$createdAt' } } }
+  ]);
+  const wallet = await Wallet.findOne({ user });
+
+  const quietSince = new Date(Date.now() - WALLET_REPAIR_QUIET_MS);
+  if ((total && total.lastPostedAt > quietSince) || (wallet && wallet.updatedAt > quietSince)) {
+    return false;
+  }
+
+  const balance = total ? roundTo2(total.balance) : 0;
+  if (!wallet) {
+    await Wallet.updateOne({ user }, { $setOnInsert: { balance } }, { upsert: true });
+    return true;
+  }
+
+  // Only if nothing touched the wallet since it was read
+  const repaired = await Wallet.updateOne(
+    { _id: wallet._id, balance: wallet.balance, updatedAt: wallet.updatedAt },
+    { $set: { balance } }
+  );
+  return repaired.modifiedCount > 0;
+};
+
+// Check the ledger against itself, the cached wallet balances and completed
+// payments. Completed payments that were never credited are posted now, and
+// wallets that disagree with the ledger are reset to it.
+export const reconcileLedger = async () => {
+  const [accountTotals, walletTotals, wallets, unposted] = await Promise.all([
+    LedgerTransaction.aggregate([
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.account', balance: { $sum: '$lines.amount' } } }
+    ]),
+    LedgerTransaction.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': ACCOUNTS.WORKER_WALLET } },
+      { $group: { _id: '$lines.user', balance: { $sum: '$lines.amount' } } }
+    ]),
+    Wallet.find().select('user balance').lean(),
+    Payment.aggregate([
+      { $match: { status: { $in: ['completed', 'refunded'] }, processedAt: { $exists: true } } },
+      {
+        $lookup: {
+          from: LedgerTransaction.collection.name,
+          localField: '_id',
+          foreignField: 'payment',
+          as: 'postings'
+        }
+      },
+      { $match: { 'postings.kind': { $ne: 'payment_completed' } } },
+      { $project: { postings: 0 } }
+    ])
+  ]);
+
+  for (const payment of unposted) {
+    await creditPayment(Payment.hydrate(payment));
+  }
+
+  const accounts = {};
+  accountTotals.forEach(({ _id, balance }) => {
+    accounts[_id] = roundTo2(balance);
+  });
+  const net = roundTo2(accountTotals.reduce((sum, { balance }) => sum + balance, 0));
+
+  const ledgerByUser = new Map(walletTotals.map(({ _id, balance }) => [_id.toString(), roundTo2(balance)]));
+  const walletMismatches = [];
+  wallets.forEach(wallet => {
+    const ledgerBalance = ledgerByUser.get(wallet.user.toString()) || 0;
+    ledgerByUser.delete(wallet.user.toString());
+    if (roundTo2(wallet.balance) !== ledgerBalance) {
+      walletMismatches.push({ user: wallet.user, walletBalance: roundTo2(wallet.balance), ledgerBalance });
+    }
+  });
+  ledgerByUser.forEach((ledgerBalance, user) => {
+    if (ledgerBalance !== 0) {
+      walletMismatches.push({ user, walletBalance: 0, ledgerBalance });
+    }
+  });
+
+  const repairedWallets = [];
+  for (const { user } of walletMismatches) {
+    if (await repairWallet(user)) {
+      repairedWallets.push(user);
+    }
+  }
+
+  return {
+    balanced: net === 0 && walletMismatches.length === 0 && unposted.length === 0,
+    net,
+    accounts,
+    walletMismatches,
+    repairedWallets,
+    postedPayments: unposted.map(payment => payment._id)
+  };
+};
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import Dispute from '../models/Dispute.js';
+import Wallet from '../models/Wallet.js';
+import { holdForDispute, releaseDisputeHold } from '../services/wallet.js';
+import { fakeLedger, makePayment, objectId } from './helpers.js';
+
+let ledger;
+let stored;
+
+// One dispute document; the hold only moves while the filter matches
+const fakeDisputes = () => {
+  jest.spyOn(Dispute, 'updateOne').mockImplementation(async (filter, update) => {
+    if (stored.status !== filter.status) return { matchedCount: 0, modifiedCount: 0 };
+    stored.heldAmount += update.$inc.heldAmount;
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+
+  jest.spyOn(Dispute, 'findOneAndUpdate').mockImplementation(async () => {
+    if (!(stored.heldAmount > 0)) return null;
+    const before = { ...stored };
+    stored.heldAmount = 0;
+    return before;
+  });
+};
+
+beforeEach(() => {
+  ledger = fakeLedger();
+  fakeDisputes();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const openDispute = (payment) => {
+  stored = { _id: objectId(), worker: payment.worker, status: 'open', heldAmount: 0 };
+  return { _id: stored._id, heldAmount: 0 };
+};
+
+describe('holdForDispute', () => {
+  it('holds the worker share of a credited payment', async () => {
+    const payment = makePayment({ amount: 100 });
+    const dispute = openDispute(payment);
+
+    const held = await holdForDispute(dispute, payment);
+
+    expect(held).toBe(90);
+    expect(dispute.heldAmount).toBe(90);
+    expect(stored.heldAmount).toBe(90);
+    expect(ledger.wallet(payment.worker).onHold).toBe(90);
+  });
+
+  it('holds only what completed refunds have not already clawed back', async () => {
+    const payment = makePayment({
+      amount: 100,
+      refunds: [
+        { amount: 40, workerClawback: 36, reason: 'Short shift', idempotencyKey: 'a', status: 'completed' },
+        { amount: 20, workerClawback: 18, reason: 'Still processing', idempotencyKey: 'b', status: 'processing' }
+      ]
+    });
+    const dispute = openDispute(payment);
+
+    expect(await holdForDispute(dispute, payment)).toBe(54);
+    expect(ledger.wallet(payment.worker).onHold).toBe(54);
+  });
+
+  it('holds nothing once the worker share is fully clawed back', async () => {
+    const payment = makePayment({
+      amount: 100,
+      refunds: [{ amount: 100, workerClawback: 90, reason: 'Refunded', idempotencyKey: 'a', status: 'completed' }]
+    });
+    const dispute = openDispute(payment);
+
+    expect(await holdForDispute(dispute, payment)).toBe(0);
+    expect(Dispute.updateOne).not.toHaveBeenCalled();
+    expect(ledger.wallet(payment.worker).onHold).toBe(0);
+  });
+
+  it('holds nothing for a dispute resolved in the meantime', async () => {
+    const payment = makePayment();
+    const dispute = openDispute(payment);
+    stored.status = 'resolved';
+
+    expect(await holdForDispute(dispute, payment)).toBe(0);
+    expect(ledger.wallet(payment.worker).onHold).toBe(0);
+  });
+
+  it('leaves the wallet balance itself untouched', async () => {
+    const payment = makePayment();
+    await holdForDispute(openDispute(payment), payment);
+
+    expect(ledger.wallet(payment.worker).balance).toBe(0);
+    expect(ledger.transactions).toHaveLength(0);
+  });
+});
+
+describe('releaseDisputeHold', () => {
+  it('releases the hold back to the worker', async () => {
+    const payment = makePayment();
+    const dispute = openDispute(payment);
+    await holdForDispute(dispute, payment);
+
+    await releaseDisputeHold(dispute);
+
+    expect(dispute.heldAmount).toBe(0);
+    expect(stored.heldAmount).toBe(0);
+    expect(ledger.wallet(payment.worker).onHold).toBe(0);
+  });
+
+  it('releases a hold only once when called concurrently', async () => {
+    const payment = makePayment();
+    const dispute = openDispute(payment);
+    await holdForDispute(dispute, payment);
+
+    await Promise.all([releaseDisputeHold(dispute), releaseDisputeHold({ _id: dispute._id })]);
+
+    expect(ledger.wallet(payment.worker).onHold).toBe(0);
+  });
+
+  it('does nothing when nothing is held', async () => {
+    const payment = makePayment();
+    const dispute = openDispute(payment);
+
+    await releaseDisputeHold(dispute);
+
+    expect(Wallet.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import LedgerTransaction from '../models/LedgerTransaction.js';
+import Wallet from '../models/Wallet.js';
+
+export const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a mongoose query: awaitable, with chainable select()
+export const query = (value) => {
+  const result = Promise.resolve(value);
+  result.select = () => result;
+  return result;
+};
+
+// A completed payment of `amount` split like the Payment model does
+export const makePayment = (overrides = {}) => {
+  const amount = overrides.amount ?? 100;
+  return new Payment({
+    gig: objectId(),
+    store: objectId(),
+    worker: objectId(),
+    amount,
+    platformFee: amount * 0.1,
+    workerAmount: amount * 0.9,
+    status: 'completed',
+    paymentMethod: 'bank_transfer',
+    transactionId: `TXN${Date.now()}`,
+    processedAt: new Date('2026-10-19T06:00:00Z'),
+    ...overrides
+  });
+};
+
+// In-memory ledger and wallets standing in for their collections. Posting
+// validates the transaction and enforces its unique key like the database.
+export const fakeLedger = () => {
+  const transactions = [];
+  const wallets = new Map();
+
+  jest.spyOn(LedgerTransaction, 'create').mockImplementation(async (entry) => {
+    const transaction = new LedgerTransaction(entry);
+    await transaction.validate();
+    if (transactions.some(posted => posted.key === transaction.key)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    transactions.push(transaction);
+    return transaction;
+  });
+
+  jest.spyOn(Wallet, 'updateOne').mockImplementation(async ({ user }, { $inc }) => {
+    const wallet = wallets.get(user.toString()) || { balance: 0, onHold: 0 };
+    Object.entries($inc).forEach(([field, amount]) => {
+      wallet[field] = roundTo2(wallet[field] + amount);
+    });
+    wallets.set(user.toString(), wallet);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+
+  // Sum of an account's lines, optionally for one user
+  const balance = (account, user) => roundTo2(transactions
+    .flatMap(transaction => transaction.lines)
+    .filter(line => line.account === account && (!user || (line.user && line.user.equals(user))))
+    .reduce((sum, line) => sum + line.amount, 0));
+
+  const wallet = (user) => wallets.get(user.toString()) || { balance: 0, onHold: 0 };
+
+  return { transactions, balance, wallet };
+};
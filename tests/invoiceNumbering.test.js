@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Gig from '../models/Gig.js';
+import User from '../models/User.js';
+import { issuePaymentInvoice, issueCreditNote, issueMonthlyInvoices } from '../services/invoices.js';
+import { makePayment, objectId, query } from './helpers.js';
+
+const store = {
+  _id: objectId(),
+  businessName: 'Corner Mart',
+  gstNumber: '29ABCDE1234F1Z5',
+  businessAddress: '12 MG Road',
+  city: 'Bengaluru',
+  pincode: '560001'
+};
+
+let payment;
+let slots;
+
+// Upserted invoice slots by filter, numbered by the second update
+const fakeInvoices = () => {
+  jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+    if (options.upsert) {
+      const key = JSON.stringify(filter);
+      if (slots.has(key)) {
+        return { value: slots.get(key), lastErrorObject: { updatedExisting: true } };
+      }
+      const claimed = new Invoice({ ...filter, ...update.$setOnInsert });
+      slots.set(key, claimed);
+      return { value: claimed, lastErrorObject: { updatedExisting: false } };
+    }
+
+    const invoice = [...slots.values()].find(slot => slot._id.equals(filter._id));
+    if (invoice.number) return null;
+    invoice.number = update.number;
+    return invoice;
+  });
+  jest.spyOn(Invoice, 'findOne').mockImplementation(async (filter) => slots.get(JSON.stringify(filter)) || null);
+  jest.spyOn(Invoice, 'findById').mockImplementation(async (id) =>
+    [...slots.values()].find(slot => slot._id.equals(id)) || null);
+};
+
+let seq;
+
+beforeEach(() => {
+  payment = makePayment({ amount: 100, store: store._id });
+  slots = new Map();
+  seq = 41;
+
+  fakeInvoices();
+  jest.spyOn(Counter, 'next').mockImplementation(async () => {
+    seq += 1;
+    return seq;
+  });
+  jest.spyOn(Invoice.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(User, 'findById').mockResolvedValue(store);
+  jest.spyOn(Gig, 'findById').mockImplementation(() => query({ title: 'Weekend stock count' }));
+  jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+  jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('invoice numbering', () => {
+  it('numbers invoices per financial year', async () => {
+    const invoice = await issuePaymentInvoice(payment);
+
+    expect(invoice.number).toBe('GE/2627/00042');
+    expect(Counter.next).toHaveBeenCalledWith('invoice:payment:2627');
+    expect(invoice.total).toBe(100);
+    expect(fs.promises.writeFile).toHaveBeenCalledTimes(2);
+  });
+
+  it('claims the slot before taking a number', async () => {
+    await issuePaymentInvoice(payment);
+
+    const [claimOrder] = Invoice.findOneAndUpdate.mock.invocationCallOrder;
+    const [numberOrder] = Counter.next.mock.invocationCallOrder;
+    expect(claimOrder).toBeLessThan(numberOrder);
+  });
+
+  it('takes one number when issued concurrently', async () => {
+    const [first, second] = await Promise.all([issuePaymentInvoice(payment), issuePaymentInvoice(payment)]);
+
+    expect(Counter.next).toHaveBeenCalledTimes(1);
+    expect(first._id).toEqual(second._id);
+    expect(slots.size).toBe(1);
+  });
+
+  it('takes no number after losing a concurrent upsert', async () => {
+    const winner = new Invoice({ type: 'payment', payment: payment._id, number: 'GE/2627/00007' });
+    Invoice.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(winner);
+    Invoice.findOneAndUpdate.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const invoice = await issuePaymentInvoice(payment);
+
+    expect(invoice).toBe(winner);
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('leaves an invoice numbered in the meantime as it is', async () => {
+    Invoice.findOneAndUpdate
+      .mockImplementationOnce(async (filter, update) => {
+        const claimed = new Invoice({ ...filter, ...update.$setOnInsert });
+        slots.set(JSON.stringify(filter), claimed);
+        return { value: claimed, lastErrorObject: { updatedExisting: false } };
+      })
+      .mockImplementationOnce(async () => null);
+
+    await issuePaymentInvoice(payment);
+
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('credit notes', () => {
+  const refund = {
+    _id: objectId(),
+    amount: 40,
+    platformFeeReversed: 4,
+    workerClawback: 36,
+    reason: 'Short shift',
+    refundedAt: new Date('2026-10-20T06:00:00Z')
+  };
+
+  it('credits the payment invoice in its own number series', async () => {
+    const creditNote = await issueCreditNote(payment, refund);
+
+    expect(creditNote.type).toBe('credit_note');
+    expect(creditNote.number).toBe('GECN/2627/00043');
+    expect(creditNote.originalInvoiceNumber).toBe('GE/2627/00042');
+    expect(creditNote.total).toBe(40);
+    expect(creditNote.platformFee).toBe(4);
+  });
+
+  it('issues one credit note per refund', async () => {
+    const first = await issueCreditNote(payment, refund);
+    const second = await issueCreditNote(payment, refund);
+
+    expect(second._id).toEqual(first._id);
+    expect(Counter.next).toHaveBeenCalledTimes(2);
+  });
+
+  it('nets credit notes out of the monthly invoice', async () => {
+    const invoice = await issuePaymentInvoice(payment);
+    const creditNote = await issueCreditNote(payment, refund);
+    jest.spyOn(Invoice, 'exists').mockResolvedValue(null);
+    jest.spyOn(Invoice, 'aggregate').mockResolvedValue([
+      { _id: store._id, invoices: [invoice.toObject(), creditNote.toObject()] }
+    ]);
+
+    expect(await issueMonthlyInvoices(2026, 10)).toBe(1);
+
+    const monthly = [...slots.values()].find(slot => slot.type === 'monthly');
+    expect(monthly.lines.map(line => line.platformFee)).toEqual([10, -4]);
+    expect(monthly.platformFee).toBe(6);
+    expect(monthly.workerPayout).toBe(54);
+    expect(monthly.total).toBe(60);
+  });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import LedgerTransaction, { ACCOUNTS } from '../models/LedgerTransaction.js';
+import { creditPayment, reverseRefund } from '../services/wallet.js';
+import { fakeLedger, makePayment, objectId } from './helpers.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ledger transactions', () => {
+  const transaction = (lines) => new LedgerTransaction({ kind: 'payment_completed', key: 'test', lines });
+
+  it('rejects lines that do not balance', async () => {
+    await expect(transaction([
+      { account: ACCOUNTS.GATEWAY, amount: -100 },
+      { account: ACCOUNTS.PLATFORM_FEES, amount: 10 }
+    ]).validate()).rejects.toThrow(/balance/);
+  });
+
+  it('rejects a single line', async () => {
+    await expect(transaction([
+      { account: ACCOUNTS.GATEWAY, amount: 0 }
+    ]).validate()).rejects.toThrow(/at least two lines/);
+  });
+
+  it('compares in paise so float drift still balances', async () => {
+    await expect(transaction([
+      { account: ACCOUNTS.GATEWAY, amount: -0.3 },
+      { account: ACCOUNTS.PLATFORM_FEES, amount: 0.1 },
+      { account: ACCOUNTS.WORKER_WALLET, user: objectId(), amount: 0.2 }
+    ]).validate()).resolves.toBeUndefined();
+  });
+});
+
+describe('creditPayment', () => {
+  it('credits the worker and the platform fee against the gateway', async () => {
+    const ledger = fakeLedger();
+    const payment = makePayment({ amount: 100 });
+
+    await creditPayment(payment);
+
+    expect(ledger.balance(ACCOUNTS.GATEWAY)).toBe(-100);
+    expect(ledger.balance(ACCOUNTS.PLATFORM_FEES)).toBe(10);
+    expect(ledger.balance(ACCOUNTS.WORKER_WALLET, payment.worker)).toBe(90);
+    expect(ledger.wallet(payment.worker).balance).toBe(90);
+  });
+
+  it('splits odd amounts without losing paise', async () => {
+    const ledger = fakeLedger();
+    const payment = makePayment({ amount: 99.99 });
+
+    await creditPayment(payment);
+
+    expect(ledger.balance(ACCOUNTS.WORKER_WALLET, payment.worker)).toBe(89.99);
+    expect(ledger.balance(ACCOUNTS.PLATFORM_FEES)).toBe(10);
+    expect(ledger.balance(ACCOUNTS.GATEWAY)).toBe(-99.99);
+  });
+
+  it('posts a payment only once', async () => {
+    const ledger = fakeLedger();
+    const payment = makePayment();
+
+    await creditPayment(payment);
+    const repeated = await creditPayment(payment);
+
+    expect(repeated).toBeNull();
+    expect(ledger.transactions).toHaveLength(1);
+    expect(ledger.wallet(payment.worker).balance).toBe(90);
+  });
+});
+
+describe('reverseRefund', () => {
+  it('reverses the fee and claws back the worker share, keeping the ledger balanced', async () => {
+    const ledger = fakeLedger();
+    const payment = makePayment({ amount: 100 });
+    const refund = { _id: objectId(), amount: 40, platformFeeReversed: 4, workerClawback: 36, reason: 'Short shift' };
+
+    await creditPayment(payment);
+    await reverseRefund(payment, refund);
+    await reverseRefund(payment, refund);
+
+    expect(ledger.transactions).toHaveLength(2);
+    expect(ledger.balance(ACCOUNTS.GATEWAY)).toBe(-60);
+    expect(ledger.balance(ACCOUNTS.PLATFORM_FEES)).toBe(6);
+    expect(ledger.balance(ACCOUNTS.WORKER_WALLET, payment.worker)).toBe(54);
+    expect(ledger.wallet(payment.worker).balance).toBe(54);
+
+    const net = Object.values(ACCOUNTS).reduce((sum, account) => sum + ledger.balance(account), 0);
+    expect(net).toBeCloseTo(0, 2);
+  });
+});
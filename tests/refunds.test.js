@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import Payment from '../models/Payment.js';
+import Gig from '../models/Gig.js';
+import Invoice from '../models/Invoice.js';
+import Notification from '../models/Notification.js';
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import { ACCOUNTS } from '../models/LedgerTransaction.js';
+import { refundPayment, refreshRefund } from '../services/payments.js';
+import { getPaymentGateway, setPaymentGateway } from '../services/paymentGateway.js';
+import { fakeLedger, makePayment, objectId, query, roundTo2 } from './helpers.js';
+
+const adminId = objectId();
+const defaultGateway = getPaymentGateway();
+
+let stored;
+let gateway;
+let ledger;
+
+// Apply the service's conditional updates to the one stored payment the way
+// MongoDB would, returning null when the filter no longer matches
+const fakePayments = () => {
+  jest.spyOn(Payment, 'findById').mockImplementation(async () => stored);
+
+  jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (update.$push) {
+      const { refunds: refund } = update.$push;
+      const duplicate = stored.refunds.some(item => item.idempotencyKey === refund.idempotencyKey);
+      if (stored.status !== 'completed' || duplicate ||
+          roundTo2(stored.refundedAmount + update.$inc.refundedAmount) > stored.amount) {
+        return null;
+      }
+      stored.refunds.push(refund);
+      stored.refundedAmount = roundTo2(stored.refundedAmount + update.$inc.refundedAmount);
+      return stored;
+    }
+
+    const refund = stored.refunds.id(filter.refunds.$elemMatch._id);
+    if (!refund || refund.status !== 'processing') return null;
+    Object.entries(update.$set).forEach(([field, value]) => {
+      if (field.startsWith('refunds.$.')) {
+        refund[field.slice('refunds.$.'.length)] = value;
+      } else {
+        stored[field] = value;
+      }
+    });
+    return stored;
+  });
+
+  jest.spyOn(Payment, 'updateOne').mockImplementation(async (filter, update) => {
+    const refund = stored.refunds.id(filter.refunds.$elemMatch._id);
+    refund.status = update.$set['refunds.$.status'];
+    stored.refundedAmount = roundTo2(stored.refundedAmount + update.$inc.refundedAmount);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+};
+
+beforeEach(() => {
+  stored = makePayment({ amount: 100 });
+  gateway = {
+    name: 'test',
+    refund: jest.fn(async () => ({ status: 'succeeded' })),
+    getStatus: jest.fn()
+  };
+  setPaymentGateway(gateway);
+
+  ledger = fakeLedger();
+  fakePayments();
+  jest.spyOn(Gig, 'findById').mockImplementation(() => query(null));
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+  jest.spyOn(AdminAuditLog, 'create').mockResolvedValue({});
+  // Credit notes are covered by the invoice tests
+  jest.spyOn(Invoice, 'findOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setPaymentGateway(defaultGateway);
+});
+
+const refund = (payment, amount, idempotencyKey) =>
+  refundPayment(payment, { amount, reason: 'Store overcharged', idempotencyKey }, adminId);
+
+describe('refundPayment fee reversal', () => {
+  it('reverses the platform fee in proportion for a partial refund', async () => {
+    const result = await refund(stored, 40, 'refund-1');
+
+    expect(result.error).toBeUndefined();
+    expect(result.refund).toMatchObject({ status: 'completed', platformFeeReversed: 4, workerClawback: 36 });
+    expect(result.payment.status).toBe('completed');
+    expect(ledger.balance(ACCOUNTS.PLATFORM_FEES)).toBe(-4);
+    expect(ledger.balance(ACCOUNTS.WORKER_WALLET, stored.worker)).toBe(-36);
+    expect(ledger.balance(ACCOUNTS.GATEWAY)).toBe(40);
+  });
+
+  it('gives the refund that completes the payment whatever fee is left', async () => {
+    stored = makePayment({ amount: 99.99 });
+
+    const first = await refund(stored, 33.33, 'refund-1');
+    const second = await refund(stored, 66.66, 'refund-2');
+
+    expect(first.refund.platformFeeReversed).toBe(3.33);
+    expect(second.refund.platformFeeReversed).toBe(6.67);
+    expect(second.payment.status).toBe('refunded');
+    // The whole fee comes back and the worker returns exactly what was credited
+    expect(ledger.balance(ACCOUNTS.PLATFORM_FEES)).toBe(-10);
+    expect(ledger.balance(ACCOUNTS.WORKER_WALLET, stored.worker)).toBe(-89.99);
+  });
+
+  it('rejects a refund beyond the remaining amount', async () => {
+    await refund(stored, 60, 'refund-1');
+    const result = await refund(stored, 50, 'refund-2');
+
+    expect(result).toMatchObject({ status: 400 });
+    expect(gateway.refund).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the reserved amount when the gateway declines', async () => {
+    gateway.refund.mockResolvedValue({ status: 'failed', message: 'Declined' });
+
+    const result = await refund(stored, 40, 'refund-1');
+
+    expect(result).toMatchObject({ status: 502 });
+    expect(stored.refundedAmount).toBe(0);
+    expect(ledger.transactions).toHaveLength(0);
+  });
+});
+
+describe('refundPayment idempotency', () => {
+  it('returns the original refund when retried with the same key', async () => {
+    const original = await refund(stored, 40, 'refund-1');
+    const retried = await refund(stored, 40, 'refund-1');
+
+    expect(retried.replayed).toBe(true);
+    expect(retried.refund._id).toEqual(original.refund._id);
+    expect(gateway.refund).toHaveBeenCalledTimes(1);
+    expect(stored.refundedAmount).toBe(40);
+    expect(ledger.transactions).toHaveLength(1);
+  });
+
+  it('returns the original refund to a retry that read the payment before it', async () => {
+    const stale = makePayment({ _id: stored._id, amount: 100 });
+
+    await refund(stored, 40, 'refund-1');
+    const retried = await refund(stale, 40, 'refund-1');
+
+    expect(retried.replayed).toBe(true);
+    expect(gateway.refund).toHaveBeenCalledTimes(1);
+    expect(stored.refunds).toHaveLength(1);
+  });
+
+  it('settles a refund only once when the gateway is asked twice', async () => {
+    gateway.refund.mockResolvedValue({ status: 'pending' });
+    const pending = await refund(stored, 40, 'refund-1');
+    expect(pending.refund.status).toBe('processing');
+
+    gateway.getStatus.mockResolvedValue({ status: 'succeeded' });
+    const [first, second] = await Promise.all([
+      refreshRefund(stored, pending.refund._id),
+      refreshRefund(stored, pending.refund._id)
+    ]);
+
+    expect([first.replayed, second.replayed].sort()).toEqual([false, true]);
+    expect(ledger.transactions).toHaveLength(1);
+    expect(ledger.balance(ACCOUNTS.WORKER_WALLET, stored.worker)).toBe(-36);
+  });
+});
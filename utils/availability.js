@@ -0,0 +1,130 @@
+// Worker availability: weekly time slots and blackout dates, evaluated in
+// the platform's local time zone.
+
+const TIME_ZONE = process.env.APP_TIMEZONE || 'Asia/Kolkata';
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23'
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Local calendar date, weekday and time of day for an instant
+export const getLocalParts = (date) => {
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+// Instant for a local date ('YYYY-MM-DD') and time of day ('HH:mm')
+export const toInstant = (dateKey, time) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct the UTC guess by the zone offset, twice to settle across DST changes
+  let instant = target;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalParts(new Date(instant));
+    const [y, m, d] = local.dateKey.split('-').map(Number);
+    const localAsUtc = Date.UTC(y, m - 1, d) + local.minutes * 60 * 1000;
+    instant += target - localAsUtc;
+  }
+
+  return new Date(instant);
+};
+
+// Split a time range into local-day segments:
+// [{ dateKey, dayOfWeek, start: 'HH:mm', end: 'HH:mm' }]
+export const getDaySegments = (startTime, endTime) => {
+  const segments = [];
+  let cursor = new Date(startTime);
+  const end = new Date(endTime);
+
+  while (cursor < end) {
+    const local = getLocalParts(cursor);
+    const nextMidnight = new Date(cursor.getTime() + (24 * 60 - local.minutes) * 60 * 1000);
+    const segmentEnd = end < nextMidnight ? end : nextMidnight;
+
+    segments.push({
+      dateKey: local.dateKey,
+      dayOfWeek: local.dayOfWeek,
+      start: local.time,
+      end: segmentEnd.getTime() === nextMidnight.getTime() ? '24:00' : getLocalParts(segmentEnd).time
+    });
+    cursor = segmentEnd;
+  }
+
+  return segments;
+};
+
+// Check a time range against a worker's published availability.
+// Workers without weekly slots are treated as always available.
+export const checkAvailability = (availability, startTime, endTime) => {
+  const { weekly = [], blackoutDates = [] } = availability || {};
+  const segments = getDaySegments(startTime, endTime);
+
+  const blackout = segments.find(segment => blackoutDates.includes(segment.dateKey));
+  if (blackout) {
+    return { available: false, message: `Unavailable on ${blackout.dateKey}` };
+  }
+
+  if (weekly.length === 0) {
+    return { available: true };
+  }
+
+  const uncovered = segments.find(segment => !weekly.some(slot =>
+    slot.dayOfWeek === segment.dayOfWeek && slot.start <= segment.start && slot.end >= segment.end
+  ));
+  if (uncovered) {
+    return {
+      available: false,
+      message: `Outside weekly availability on ${WEEKDAYS[uncovered.dayOfWeek]} ${uncovered.start}-${uncovered.end}`
+    };
+  }
+
+  return { available: true };
+};
+
+// MongoDB filter matching users whose availability covers a time range
+export const availabilityFilter = (startTime, endTime) => {
+  const segments = getDaySegments(startTime, endTime);
+
+  return {
+    $and: [
+      { 'availability.blackoutDates': { $nin: segments.map(segment => segment.dateKey) } },
+      {
+        $or: [
+          { 'availability.weekly.0': { $exists: false } },
+          {
+            $and: segments.map(segment => ({
+              'availability.weekly': {
+                $elemMatch: {
+                  dayOfWeek: segment.dayOfWeek,
+                  start: { $lte: segment.start },
+                  end: { $gte: segment.end }
+                }
+              }
+            }))
+          }
+        ]
+      }
+    ]
+  };
+};
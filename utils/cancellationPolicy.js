@@ -0,0 +1,32 @@
+// Late-cancellation policy, configurable through the environment
+const policy = {
+  // Store cancelling an assigned gig this close to startTime owes the worker
+  storeLateWindowHours: parseFloat(process.env.STORE_LATE_CANCEL_HOURS || '2'),
+  storeLatePayoutPercent: parseFloat(process.env.STORE_LATE_CANCEL_PAYOUT_PERCENT || '50'),
+  // Worker pulling out this close to startTime gets a reliability strike
+  workerLateWindowHours: parseFloat(process.env.WORKER_LATE_CANCEL_HOURS || '12')
+};
+
+const hoursUntil = (date, now) => (new Date(date) - now) / (1000 * 60 * 60);
+
+// Evaluate a store cancelling a gig. Each assigned worker is owed the
+// payout; totalAmount is per worker.
+export const evaluateStoreCancellation = (gig, now = new Date()) => {
+  const assignedCount = gig.getActiveAssignments().length;
+  const isLate = assignedCount > 0 &&
+    hoursUntil(gig.startTime, now) < policy.storeLateWindowHours;
+
+  const payoutPerWorker = isLate
+    ? Math.round(gig.totalAmount * policy.storeLatePayoutPercent) / 100
+    : 0;
+
+  return { isLate, payoutPerWorker, payoutAmount: payoutPerWorker * assignedCount };
+};
+
+// Evaluate a worker pulling out of an assigned gig
+export const evaluateWorkerCancellation = (gig, now = new Date()) => {
+  const isLate = hoursUntil(gig.startTime, now) < policy.workerLateWindowHours;
+  return { isLate, strike: isLate };
+};
+
+export default policy;
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { calculateDistance } from './helpers.js';
+
+// Geofenced check-in/out policy, configurable through the environment
+const policy = {
+  // Workers must be this close to Gig.location.coordinates
+  radiusMeters: parseFloat(process.env.CHECKIN_RADIUS_METERS || '200'),
+  // 'reject' out-of-range calls, or 'flag' them for the store and let them through
+  outOfRange: process.env.CHECKIN_OUT_OF_RANGE === 'flag' ? 'flag' : 'reject',
+  // How often the store's check-in QR code changes
+  codeRotationSeconds: parseInt(process.env.CHECKIN_CODE_ROTATION_SECONDS || '60')
+};
+
+export const createCheckInSecret = () => crypto.randomBytes(32).toString('hex');
+
+const codeForStep = (secret, step) => crypto
+  .createHmac('sha256', secret)
+  .update(String(step))
+  .digest('hex')
+  .slice(0, 10)
+  .toUpperCase();
+
+const currentStep = (now) => Math.floor(now.getTime() / 1000 / policy.codeRotationSeconds);
+
+// Code for the store to show as a QR code, and when it rotates
+export const getCheckInCode = (secret, now = new Date()) => {
+  const step = currentStep(now);
+  return {
+    code: codeForStep(secret, step),
+    expiresAt: new Date((step + 1) * policy.codeRotationSeconds * 1000)
+  };
+};
+
+// The previous code is still accepted to allow for a slow scan
+export const verifyCheckInCode = (secret, code, now = new Date()) => {
+  const step = currentStep(now);
+  const candidate = Buffer.from(String(code).toUpperCase());
+
+  return [step, step - 1].some(s => {
+    const expected = Buffer.from(codeForStep(secret, s));
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
+
+// Evaluate a worker's check-in or check-out against the gig's location or
+// check-in code. Returns { allowed, record } or { allowed: false, status, message }.
+export const evaluateCheckIn = (gig, secret, { lat, lng, accuracy, code }, now = new Date()) => {
+  const record = { at: now, verified: false, flagged: false };
+  const hasLocation = lat !== undefined && lng !== undefined;
+  const target = gig.location.coordinates || {};
+
+  if (hasLocation) {
+    record.location = { lat: Number(lat), lng: Number(lng) };
+    if (accuracy !== undefined) record.accuracy = Number(accuracy);
+    if (typeof target.lat === 'number' && typeof target.lng === 'number') {
+      record.distanceMeters = Math.round(calculateDistance(record.location.lat, record.location.lng, target.lat, target.lng) * 1000);
+    }
+  }
+
+  // A valid code proves presence wherever the device reports itself
+  if (code) {
+    if (!secret || !verifyCheckInCode(secret, code, now)) {
+      return { allowed: false, status: 403, message: 'Invalid or expired check-in code' };
+    }
+    return { allowed: true, record: { ...record, method: 'qr', verified: true } };
+  }
+
+  if (gig.requireCheckInCode) {
+    return { allowed: false, status: 400, message: 'Scan the check-in code shown by the store' };
+  }
+
+  if (!hasLocation) {
+    return { allowed: false, status: 400, message: 'Device location (lat, lng) is required' };
+  }
+
+  record.method = 'location';
+
+  // Nothing to check against; accept but flag it for the store
+  if (record.distanceMeters === undefined) {
+    return { allowed: true, record: { ...record, flagged: true, flagReason: 'no_gig_location' } };
+  }
+
+  if (record.distanceMeters <= policy.radiusMeters) {
+    return { allowed: true, record: { ...record, verified: true } };
+  }
+
+  if (policy.outOfRange === 'flag') {
+    return { allowed: true, record: { ...record, flagged: true, flagReason: 'out_of_range' } };
+  }
+
+  return {
+    allowed: false,
+    status: 403,
+    message: `You are ${record.distanceMeters} m from the gig location; you must be within ${policy.radiusMeters} m`
+  };
+};
+
+export default policy;
@@ -0,0 +1,124 @@
+// Facet definitions for gig search: filters a client can select and the
+// counts shown next to each option.
+import { getLocalParts, toInstant } from './availability.js';
+import { addDays } from './recurrence.js';
+
+// Hourly rate bands; max is exclusive
+export const PAY_BANDS = [
+  { key: 'under-100', min: 0, max: 100 },
+  { key: '100-200', min: 100, max: 200 },
+  { key: '200-500', min: 200, max: 500 },
+  { key: '500-plus', min: 500, max: null }
+];
+
+// Start-time boundaries for the date facet: local midnights (APP_TIMEZONE)
+// relative to now
+const getDateBoundaries = (now = new Date()) => {
+  const { dateKey } = getLocalParts(now);
+  const midnight = (days) => toInstant(addDays(dateKey, days), '00:00');
+  return {
+    today: midnight(0),
+    tomorrow: midnight(1),
+    dayAfter: midnight(2),
+    nextWeek: midnight(7)
+  };
+};
+
+const payBandFilter = (key) => {
+  const band = PAY_BANDS.find(b => b.key === key);
+  if (!band) return undefined;
+  const range = { $gte: band.min };
+  if (band.max !== null) range.$lt = band.max;
+  return { hourlyRate: range };
+};
+
+const dateFilter = (key) => {
+  const { today, tomorrow, dayAfter, nextWeek } = getDateBoundaries();
+  // Same buckets as the date facet below
+  const ranges = {
+    past: { $lt: today },
+    today: { $gte: today, $lt: tomorrow },
+    tomorrow: { $gte: tomorrow, $lt: dayAfter },
+    'this-week': { $gte: dayAfter, $lt: nextWeek },
+    later: { $gte: nextWeek }
+  };
+  return ranges[key] ? { startTime: ranges[key] } : undefined;
+};
+
+// Turn query parameters into per-facet filters. Returns null for an
+// unknown payBand or date value.
+export const buildFacetFilters = ({ category, city, payBand, date }) => {
+  const filters = {
+    category: category ? { category } : null,
+    city: city ? { 'location.city': city } : null,
+    payBand: payBand ? payBandFilter(payBand) : null,
+    date: date ? dateFilter(date) : null
+  };
+
+  if (filters.payBand === undefined || filters.date === undefined) {
+    return null;
+  }
+  return filters;
+};
+
+// Merge the selected facet filters, optionally leaving one out
+export const mergeFacetFilters = (filters, except = null) => {
+  const match = {};
+  Object.entries(filters).forEach(([name, filter]) => {
+    if (name !== except && filter) Object.assign(match, filter);
+  });
+  return match;
+};
+
+// $facet sub-pipelines counting each option. Each facet applies every
+// selected filter except its own, so the UI can show alternatives.
+export const buildFacetPipelines = (filters) => {
+  const { today, tomorrow, dayAfter, nextWeek } = getDateBoundaries();
+  const count = (groupBy) => [{ $group: { _id: groupBy, count: { $sum: 1 } } }, { $sort: { count: -1 } }];
+
+  return {
+    category: [
+      { $match: mergeFacetFilters(filters, 'category') },
+      ...count('$category')
+    ],
+    city: [
+      { $match: mergeFacetFilters(filters, 'city') },
+      ...count('$location.city'),
+      { $limit: 20 }
+    ],
+    payBand: [
+      { $match: mergeFacetFilters(filters, 'payBand') },
+      ...count({
+        $switch: {
+          branches: PAY_BANDS.filter(b => b.max !== null).map(b => ({
+            case: { $lt: ['$hourlyRate', b.max] },
+            then: b.key
+          })),
+          default: PAY_BANDS[PAY_BANDS.length - 1].key
+        }
+      })
+    ],
+    date: [
+      { $match: mergeFacetFilters(filters, 'date') },
+      ...count({
+        $switch: {
+          branches: [
+            { case: { $lt: ['$startTime', today] }, then: 'past' },
+            { case: { $lt: ['$startTime', tomorrow] }, then: 'today' },
+            { case: { $lt: ['$startTime', dayAfter] }, then: 'tomorrow' },
+            { case: { $lt: ['$startTime', nextWeek] }, then: 'this-week' }
+          ],
+          default: 'later'
+        }
+      })
+    ]
+  };
+};
+
+// Shape $facet output as { category: [{ value, count }], ... }
+export const formatFacets = (result) => Object.fromEntries(
+  ['category', 'city', 'payBand', 'date'].map(name => [
+    name,
+    (result[name] || []).map(({ _id, count }) => ({ value: _id, count }))
+  ])
+);
@@ -0,0 +1,79 @@
+// GST state codes (the first two digits of a GSTIN)
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^(\d{2})[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// State code of a GSTIN, or null if it is not a valid GSTIN
+export const getStateCode = (gstin) => {
+  const match = GSTIN_PATTERN.exec(String(gstin || '').toUpperCase());
+  return match && GST_STATES[match[1]] ? match[1] : null;
+};
+
+// The platform's registration, as printed on its invoices
+export const platformGst = {
+  legalName: process.env.PLATFORM_LEGAL_NAME || 'GigErn',
+  gstin: process.env.PLATFORM_GSTIN || '',
+  address: process.env.PLATFORM_ADDRESS || '',
+  stateCode: getStateCode(process.env.PLATFORM_GSTIN) || process.env.PLATFORM_STATE_CODE || '29',
+  // GST on the platform fee, which is charged inclusive of tax
+  ratePercent: parseFloat(process.env.GST_RATE_PERCENT || '18'),
+  // Services accounting code for the platform's service
+  sac: process.env.PLATFORM_SAC || '998599'
+};
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Split a tax-inclusive platform fee into its taxable value and GST:
+// CGST + SGST within the platform's state, IGST across states or when the
+// store's state is unknown
+export const splitGst = (fee, storeStateCode) => {
+  const taxableValue = roundTo2(fee / (1 + platformGst.ratePercent / 100));
+  const tax = roundTo2(fee - taxableValue);
+  const intraState = storeStateCode === platformGst.stateCode;
+  const cgst = intraState ? roundTo2(tax / 2) : 0;
+
+  return {
+    taxableValue,
+    taxRate: platformGst.ratePercent,
+    cgst,
+    sgst: intraState ? roundTo2(tax - cgst) : 0,
+    igst: intraState ? 0 : tax
+  };
+};
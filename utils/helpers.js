@@ -1,4 +1,4 @@
-const crypto = require('crypto');
+import crypto from 'crypto';
 
 // Generate random string
 const generateRandomString = (length = 32) => {
@@ -24,6 +24,11 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return distance;
 };
 
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 // Format date for display
 const formatDate = (date) => {
   return new Date(date).toLocaleDateString('en-US', {
@@ -141,10 +146,11 @@ const isValidGigTime = (startTime, endTime) => {
   return true;
 };
 
-module.exports = {
+export {
   generateRandomString,
   formatPhoneNumber,
   calculateDistance,
+  escapeRegex,
   formatDate,
   getPagination,
   formatPaginationResponse,
@@ -0,0 +1,85 @@
+// Minimal PDF writer for plain-text documents such as invoices. Lines are
+// laid out top to bottom on A4 pages in Helvetica; each line is a string or
+// { text, bold, size }. Only Latin-1 text is supported.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const DEFAULT_SIZE = 10;
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+// Break text into rows that fit the page width, assuming an average
+// Helvetica character is half the font size wide
+const wrap = (text, size) => {
+  const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.5));
+  const rows = [];
+  let row = '';
+
+  String(text).split(' ').forEach(word => {
+    if (row && (row + ' ' + word).length > maxChars) {
+      rows.push(row);
+      row = word;
+    } else {
+      row = row ? `${row} ${word}` : word;
+    }
+  });
+  rows.push(row);
+
+  return rows;
+};
+
+const paginate = (lines) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  lines.forEach(line => {
+    const { text = '', bold = false, size = DEFAULT_SIZE } = typeof line === 'string' ? { text: line } : line;
+    const leading = size * 1.4;
+
+    wrap(text, size).forEach(row => {
+      if (y - leading < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      pages[pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf 1 0 0 1 ${MARGIN} ${y.toFixed(2)} Tm (${escapeText(row)}) Tj ET`);
+    });
+  });
+
+  return pages;
+};
+
+export const renderTextPdf = (lines) => {
+  const pages = paginate(lines);
+
+  // Objects 1-4 are fixed; each page adds a page object and its content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+
+  pages.forEach((page, i) => {
+    const content = page.join('\n');
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
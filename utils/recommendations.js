@@ -0,0 +1,127 @@
+import { calculateDistance, escapeRegex } from './helpers.js';
+
+// Relative weight of each signal in a gig's recommendation score
+export const WEIGHTS = {
+  skills: 0.35,
+  distance: 0.25,
+  pay: 0.15,
+  storeRating: 0.1,
+  repeatStore: 0.15
+};
+
+const NEUTRAL = 0.5;
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const normalizeSkill = (skill) => String(skill).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-');
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+const scoreSkills = (gig, worker) => {
+  if (!gig.skills || gig.skills.length === 0) {
+    return { score: NEUTRAL };
+  }
+  const workerSkills = new Set((worker.skills || []).map(normalizeSkill));
+  const matched = gig.skills.filter(skill => workerSkills.has(normalizeSkill(skill)));
+  return {
+    score: matched.length / gig.skills.length,
+    reason: matched.length > 0
+      ? `Matches ${matched.length} of ${gig.skills.length} skills (${matched.join(', ')})`
+      : null
+  };
+};
+
+const scoreDistance = (gig, worker) => {
+  const home = worker.location && worker.location.coordinates;
+  const site = gig.location && gig.location.coordinates;
+
+  if (home && site && typeof home.lat === 'number' && typeof site.lat === 'number') {
+    const distance = calculateDistance(home.lat, home.lng, site.lat, site.lng);
+    const radius = worker.travelRadiusKm || 10;
+    return {
+      score: clamp(1 - distance / (radius * 2)),
+      reason: distance <= radius ? `${distance.toFixed(1)} km from home` : null,
+      distance: Math.round(distance * 100) / 100
+    };
+  }
+
+  const city = (worker.location && worker.location.city) || worker.city;
+  if (city && gig.location && city.toLowerCase() === gig.location.city.toLowerCase()) {
+    return { score: 0.7, reason: `In ${gig.location.city}` };
+  }
+  return { score: NEUTRAL };
+};
+
+const scorePay = (gig, history) => {
+  if (!history.averageRate) {
+    return { score: NEUTRAL };
+  }
+  const ratio = gig.hourlyRate / history.averageRate;
+  const percent = Math.round((ratio - 1) * 100);
+  return {
+    score: clamp(ratio - 0.5),
+    reason: percent >= 10 ? `Pays ${percent}% above your average rate` : null
+  };
+};
+
+const scoreStoreRating = (gig) => {
+  const store = gig.store || {};
+  if (!store.totalRatings) {
+    return { score: NEUTRAL };
+  }
+  return {
+    score: store.rating / 5,
+    reason: store.rating >= 4 ? `Store rated ${store.rating.toFixed(1)}` : null
+  };
+};
+
+const scoreRepeatStore = (gig, history) => {
+  const completed = history.completionsByStore[gig.store._id.toString()] || 0;
+  return {
+    score: clamp(completed / 3),
+    reason: completed > 0
+      ? `You've completed ${completed} gig${completed > 1 ? 's' : ''} with this store`
+      : null
+  };
+};
+
+// Score an open gig for a worker. `history` holds the worker's completed
+// gig stats: { averageRate, completionsByStore: { [storeId]: count } }.
+export const scoreGig = (gig, worker, history) => {
+  const signals = {
+    skills: scoreSkills(gig, worker),
+    distance: scoreDistance(gig, worker),
+    pay: scorePay(gig, history),
+    storeRating: scoreStoreRating(gig),
+    repeatStore: scoreRepeatStore(gig, history)
+  };
+
+  const score = Object.entries(WEIGHTS)
+    .reduce((total, [name, weight]) => total + weight * signals[name].score, 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    distance: signals.distance.distance,
+    reasons: Object.values(signals).map(signal => signal.reason).filter(Boolean)
+  };
+};
+
+// Narrow the gigs worth scoring to the worker's travel radius, or to gigs
+// needing their skills (or none) when they have no location, so taking the
+// soonest candidates does not crowd out nearby gigs
+export const candidatePrefilter = (worker) => {
+  const geo = worker.location && worker.location.geo;
+  if (geo && geo.coordinates && geo.coordinates.length === 2) {
+    const radians = (worker.travelRadiusKm || 10) / EARTH_RADIUS_KM;
+    return { 'location.geo': { $geoWithin: { $centerSphere: [geo.coordinates, radians] } } };
+  }
+
+  if (worker.skills && worker.skills.length > 0) {
+    // Gig skills are free text; match the worker's slugs across separators
+    const patterns = worker.skills.map(skill => new RegExp(
+      `^${skill.split('-').map(escapeRegex).join('[^a-z0-9]+')}$`, 'i'
+    ));
+    return { $or: [{ skills: { $in: patterns } }, { skills: { $size: 0 } }] };
+  }
+
+  return {};
+};
@@ -0,0 +1,55 @@
+// Recurrence rules for gig series. Dates are local calendar dates
+// ('YYYY-MM-DD') in the platform time zone; see utils/availability.js.
+import { toInstant } from './availability.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toUtcDay = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const fromUtcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export const addDays = (dateKey, days) => fromUtcDay(toUtcDay(dateKey) + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.round((toUtcDay(to) - toUtcDay(from)) / DAY_MS);
+
+// Does a date match the rule?
+//   { frequency: 'daily' | 'weekly', interval, daysOfWeek, startDate, until }
+// Weekly intervals count calendar weeks (Sunday to Saturday) from startDate.
+export const matchesRule = (rule, dateKey) => {
+  if (dateKey < rule.startDate || (rule.until && dateKey > rule.until)) return false;
+
+  const interval = rule.interval || 1;
+  const offset = daysBetween(rule.startDate, dateKey);
+
+  if (rule.frequency === 'daily') {
+    return offset % interval === 0;
+  }
+
+  const dayOfWeek = new Date(toUtcDay(dateKey)).getUTCDay();
+  const startDayOfWeek = new Date(toUtcDay(rule.startDate)).getUTCDay();
+  const week = Math.floor((offset + startDayOfWeek) / 7);
+  return rule.daysOfWeek.includes(dayOfWeek) && week % interval === 0;
+};
+
+// Matching dates from `from` through `to`, inclusive
+export const getOccurrenceDates = (rule, from, to) => {
+  const dates = [];
+  const last = rule.until && rule.until < to ? rule.until : to;
+
+  for (let dateKey = from < rule.startDate ? rule.startDate : from; dateKey <= last; dateKey = addDays(dateKey, 1)) {
+    if (matchesRule(rule, dateKey)) dates.push(dateKey);
+  }
+
+  return dates;
+};
+
+// Start and end instants of a shift ({ startTime, endTime } as 'HH:mm') on a
+// date. A shift ending at or before its start time ends the next day.
+export const getShiftTimes = (shift, dateKey) => {
+  const startTime = toInstant(dateKey, shift.startTime);
+  const endDate = shift.endTime <= shift.startTime ? addDays(dateKey, 1) : dateKey;
+  return { startTime, endTime: toInstant(endDate, shift.endTime) };
+};